@@ -0,0 +1,163 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+'use strict';
+
+window.z = window.z || {};
+window.z.assets = z.assets || {};
+
+// Cache names, header names and storage keys are shared with the asset cache strategy of the ServiceWorker
+const ASSET_CACHE_CONFIG = {
+  CACHE_NAME: 'asset-cache-v3',
+  HEADER: {
+    CONVERSATION: 'X-Asset-Conversation',
+    RETENTION: 'X-Asset-Retention',
+    SIZE: 'X-Asset-Size',
+  },
+  META_CACHE_NAME: 'asset-cache-meta-v1',
+  PINNED_CONVERSATIONS: 5,
+  PINNED_CONVERSATIONS_KEY: '/asset-cache/pinned-conversations',
+};
+
+z.assets.AssetCacheRepository = class AssetCacheRepository {
+  /**
+   * Get the ServiceWorker cache options for assets of a message.
+   *
+   * @param {string} conversation_id - ID of conversation the message belongs to
+   * @param {boolean} is_ephemeral - Message is ephemeral
+   * @returns {Object} Cache options with conversation ID and retention policy
+   */
+  static get_cache_options(conversation_id, is_ephemeral) {
+    return {
+      conversation_id: conversation_id,
+      retention: is_ephemeral ? z.assets.AssetRetentionPolicy.VOLATILE : z.assets.AssetRetentionPolicy.PERSISTENT,
+    };
+  }
+
+  /**
+   * Construct a new asset cache repository.
+   * @note The ServiceWorker caches assets and evicts them. The assets of recently viewed conversations are pinned.
+   *
+   * @param {z.conversation.ConversationRepository} conversation_repository - Repository for conversation interactions
+   * @returns {AssetCacheRepository} Repository for the asset cache
+   */
+  constructor(conversation_repository) {
+    this.conversation_repository = conversation_repository;
+    this.logger = new z.util.Logger('z.assets.AssetCacheRepository', z.config.LOGGER.OPTIONS);
+
+    this.pinned_conversation_ids = [];
+    this.conversation_repository.active_conversation.subscribe((conversation_et) => {
+      if (conversation_et) {
+        this.pin_conversation(conversation_et.id);
+      }
+    });
+    return this;
+  }
+
+  /**
+   * Delete all cached assets.
+   * @returns {Promise} Resolves with the number of deleted assets
+   */
+  clear_cache() {
+    return this._open_cache(ASSET_CACHE_CONFIG.CACHE_NAME)
+    .then((cache) => {
+      if (!cache) {
+        return 0;
+      }
+
+      return cache.keys()
+      .then((requests) => {
+        return Promise.all(requests.map((request) => cache.delete(request)))
+        .then(() => {
+          this.logger.info(`Cleared '${requests.length}' assets from cache`);
+          return requests.length;
+        });
+      });
+    });
+  }
+
+  /**
+   * Get statistics of the asset cache.
+   * @returns {Promise} Resolves with the number and size of cached assets in total and per retention policy
+   */
+  get_statistics() {
+    const statistics = {entries: 0, retention: {}, size: 0};
+    Object.keys(z.assets.AssetRetentionPolicy).forEach((policy) => {
+      statistics.retention[z.assets.AssetRetentionPolicy[policy]] = {entries: 0, size: 0};
+    });
+
+    return this._open_cache(ASSET_CACHE_CONFIG.CACHE_NAME)
+    .then((cache) => {
+      if (!cache) {
+        return [];
+      }
+
+      return cache.keys().then((requests) => Promise.all(requests.map((request) => cache.match(request))));
+    })
+    .then((responses) => {
+      responses.forEach(({headers}) => {
+        const retention = headers.get(ASSET_CACHE_CONFIG.HEADER.RETENTION) || z.assets.AssetRetentionPolicy.PERSISTENT;
+        const size = window.parseInt(headers.get(ASSET_CACHE_CONFIG.HEADER.SIZE), 10) || 0;
+        const retention_statistics = statistics.retention[retention] || statistics.retention[z.assets.AssetRetentionPolicy.PERSISTENT];
+
+        retention_statistics.entries += 1;
+        retention_statistics.size += size;
+        statistics.entries += 1;
+        statistics.size += size;
+      });
+
+      return statistics;
+    });
+  }
+
+  /**
+   * Pin the assets of a conversation so that they are evicted from the cache last.
+   * @note Only the most recently pinned conversations are kept.
+   *
+   * @param {string} conversation_id - ID of conversation to pin
+   * @returns {Promise} Resolves when the pinned conversations have been stored
+   */
+  pin_conversation(conversation_id) {
+    this.pinned_conversation_ids = [conversation_id]
+      .concat(this.pinned_conversation_ids.filter((pinned_conversation_id) => pinned_conversation_id !== conversation_id))
+      .slice(0, ASSET_CACHE_CONFIG.PINNED_CONVERSATIONS);
+
+    const response = new Response(JSON.stringify(this.pinned_conversation_ids), {headers: {'Content-Type': 'application/json'}});
+
+    return this._open_cache(ASSET_CACHE_CONFIG.META_CACHE_NAME)
+    .then((cache) => {
+      if (cache) {
+        return cache.put(ASSET_CACHE_CONFIG.PINNED_CONVERSATIONS_KEY, response);
+      }
+    })
+    .catch((error) => this.logger.warn(`Failed to store pinned conversations: ${error.message}`, error));
+  }
+
+  /**
+   * Open a cache of the Cache Storage.
+   * @private
+   * @param {string} cache_name - Name of cache
+   * @returns {Promise} Resolves with the cache or undefined if Cache Storage is not supported
+   */
+  _open_cache(cache_name) {
+    if (!window.caches) {
+      return Promise.resolve();
+    }
+    return window.caches.open(cache_name);
+  }
+};
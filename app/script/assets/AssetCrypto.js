@@ -23,6 +23,7 @@ window.z = window.z || {};
 window.z.assets = z.assets || {};
 
 z.assets.AssetCrypto = (() => {
+  const AES_BLOCK_SIZE = 16;
 
   /**
    * @param {ArrayBuffer} ciphertext - Encrypted plaintext
@@ -49,6 +50,85 @@ z.assets.AssetCrypto = (() => {
       });
   }
 
+  /**
+   * Create a decrypter that verifies and decrypts an asset chunk by chunk.
+   *
+   * @note WebCrypto can neither hash nor decrypt incrementally. The checksum is computed with CryptoJS and every chunk
+   *   but the last is decrypted with an appended block that is valid PKCS#7 padding for the preceding ciphertext.
+   *   Plaintext returned by the decrypter must be discarded unless finalizing it succeeds.
+   *
+   * @param {ArrayBuffer} key_bytes - AES key used for encryption
+   * @param {ArrayBuffer} reference_sha256 - SHA-256 checksum of the ciphertext
+   * @returns {Object} Decrypter with 'update' to pass ciphertext chunks and 'finalize' after the last chunk
+   */
+  function create_aes_asset_decrypter(key_bytes, reference_sha256) {
+    const hasher = CryptoJS.algo.SHA256.create();
+    const key_promise = window.crypto.subtle.importKey('raw', key_bytes, 'AES-CBC', false, ['decrypt', 'encrypt']);
+    let iv = undefined;
+    let pending_bytes = new Uint8Array(0);
+    let queue = Promise.resolve();
+
+    // Ciphertext is decrypted in order, every call waits for the previous one
+    const enqueue = (fn) => {
+      queue = queue.then(fn);
+      return queue;
+    };
+
+    const update = (chunk) => {
+      return enqueue(() => {
+        const chunk_bytes = new Uint8Array(chunk);
+        hasher.update(CryptoJS.lib.WordArray.create(chunk_bytes));
+        pending_bytes = _concat_bytes(pending_bytes, chunk_bytes);
+
+        if (!iv) {
+          if (pending_bytes.length < AES_BLOCK_SIZE) {
+            return new Uint8Array(0);
+          }
+          iv = pending_bytes.slice(0, AES_BLOCK_SIZE);
+          pending_bytes = pending_bytes.slice(AES_BLOCK_SIZE);
+        }
+
+        // The last block is kept back as it contains the padding of the asset
+        const decryptable_length = Math.floor((pending_bytes.length - 1) / AES_BLOCK_SIZE) * AES_BLOCK_SIZE;
+        if (decryptable_length <= 0) {
+          return new Uint8Array(0);
+        }
+
+        const ciphertext = pending_bytes.slice(0, decryptable_length);
+        pending_bytes = pending_bytes.slice(decryptable_length);
+
+        return key_promise
+        .then((key) => _decrypt_aes_blocks(key, iv, ciphertext))
+        .then((plaintext) => {
+          iv = ciphertext.slice(-AES_BLOCK_SIZE);
+          return plaintext;
+        });
+      });
+    };
+
+    const finalize = () => {
+      return enqueue(() => {
+        const computed_sha256 = _word_array_to_bytes(hasher.finalize());
+        if (!_is_equal_buffer(computed_sha256, reference_sha256)) {
+          throw new Error('Encrypted asset does not match its SHA-256 hash');
+        }
+
+        if (!iv || pending_bytes.length === 0 || pending_bytes.length % AES_BLOCK_SIZE !== 0) {
+          throw new Error('Encrypted asset has an invalid length');
+        }
+
+        return key_promise
+        .then((key) => window.crypto.subtle.decrypt({iv: iv, name: 'AES-CBC'}, key, pending_bytes))
+        .then((plaintext) => new Uint8Array(plaintext));
+      });
+    };
+
+    return {
+      finalize,
+      update,
+    };
+  }
+
   /**
    * @param {ArrayBuffer} plaintext - Plaintext asset to be encrypted
    * @returns {Promise} Resolves with the encrypted asset
@@ -81,6 +161,34 @@ z.assets.AssetCrypto = (() => {
     .then((key_bytes) => [key_bytes, computed_sha256, iv_ciphertext.buffer]);
   }
 
+  function _concat_bytes(bytes_a, bytes_b) {
+    const concatenated_bytes = new Uint8Array(bytes_a.length + bytes_b.length);
+    concatenated_bytes.set(bytes_a, 0);
+    concatenated_bytes.set(bytes_b, bytes_a.length);
+    return concatenated_bytes;
+  }
+
+  /**
+   * Decrypt complete AES-CBC blocks that are not followed by padding.
+   *
+   * @private
+   * @param {CryptoKey} key - AES key allowed to encrypt and decrypt
+   * @param {Uint8Array} iv - Initialization vector or last block of the preceding ciphertext
+   * @param {Uint8Array} ciphertext - Ciphertext with a length that is a multiple of the block size
+   * @returns {Promise} Resolves with the plaintext of the blocks
+   */
+  function _decrypt_aes_blocks(key, iv, ciphertext) {
+    const last_block = ciphertext.slice(-AES_BLOCK_SIZE);
+
+    // Encrypting nothing yields a single block of padding chained to the last block of the ciphertext
+    return window.crypto.subtle.encrypt({iv: last_block, name: 'AES-CBC'}, key, new Uint8Array(0))
+    .then((padding_block) => {
+      const padded_ciphertext = _concat_bytes(ciphertext, new Uint8Array(padding_block));
+      return window.crypto.subtle.decrypt({iv: iv, name: 'AES-CBC'}, key, padded_ciphertext);
+    })
+    .then((plaintext) => new Uint8Array(plaintext));
+  }
+
   function _generate_random_bytes(length) {
     const randomValues = new Uint32Array(length / 4).map(() => libsodium.getRandomValue());
     const ramdonBytes = new Uint8Array(randomValues.buffer);
@@ -90,7 +198,22 @@ z.assets.AssetCrypto = (() => {
     throw Error('Failed to initialize iv with random values');
   }
 
+  function _is_equal_buffer(buffer_a, buffer_b) {
+    const bytes_a = new Uint8Array(buffer_a);
+    const bytes_b = new Uint8Array(buffer_b);
+    return bytes_a.length === bytes_b.length && bytes_a.every((byte, index) => byte === bytes_b[index]);
+  }
+
+  function _word_array_to_bytes(word_array) {
+    const bytes = new Uint8Array(word_array.sigBytes);
+    for (let index = 0; index < bytes.length; index++) {
+      bytes[index] = (word_array.words[index >>> 2] >>> (24 - ((index % 4) * 8))) & 0xff;
+    }
+    return bytes;
+  }
+
   return {
+    create_aes_asset_decrypter,
     decrypt_aes_asset,
     encrypt_aes_asset,
   };
@@ -0,0 +1,321 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.assets = z.assets || {};
+
+const ASSET_DOWNLOADER_CONFIG = {
+  MAX_CONCURRENT_DOWNLOADS: 4,
+  RETRY: {
+    BASE_DELAY: 1000,
+    MAX_ATTEMPTS: 5,
+    MAX_DELAY: 30000,
+  },
+};
+
+z.assets.AssetDownloader = class AssetDownloader {
+  /**
+   * Construct a new Asset Downloader.
+   * @note Queues all asset downloads, starts them by priority and retries them after network errors.
+   *   Failed downloads are resumed by the app once the connection is regained.
+   * @param {number} [max_concurrent_downloads] - Number of downloads transferring data at the same time
+   */
+  constructor(max_concurrent_downloads = ASSET_DOWNLOADER_CONFIG.MAX_CONCURRENT_DOWNLOADS) {
+    this.logger = new z.util.Logger('z.assets.AssetDownloader', z.config.LOGGER.OPTIONS);
+
+    this.max_concurrent_downloads = max_concurrent_downloads;
+    this.download_sequence = 0;
+
+    this.downloads = ko.observableArray([]);
+    this.active_downloads = ko.pureComputed(() => {
+      return this.downloads().filter((download) => download.state() === z.assets.AssetDownloadState.DOWNLOADING);
+    });
+  }
+
+  /**
+   * Cancel a download and reject its promise.
+   * @param {Object} download - Download of the downloads list
+   * @returns {undefined} No return value
+   */
+  cancel(download) {
+    this._stop(download);
+    this.downloads.remove(download);
+    download.reject(new z.assets.AssetError(z.assets.AssetError.TYPE.DOWNLOAD_CANCELLED));
+    this.logger.info(`Cancelled download of asset '${download.id}'`);
+    this._schedule();
+  }
+
+  /**
+   * Queue the download of an asset.
+   * @note Requesting an asset that is already queued returns the pending download and raises its priority if necessary.
+   *   A download that finally failed is resumed instead.
+   *
+   * @param {z.assets.AssetRemoteData} remote_data - Remote data of the asset
+   * @param {Object} [options] - Download options
+   * @param {string} [options.name] - Name of the asset shown in the downloads list
+   * @param {z.assets.AssetDownloadPriority} [options.priority] - Priority of the download
+   * @returns {Promise} Resolves with the decrypted asset as Blob
+   */
+  download(remote_data, options = {}) {
+    const {name, priority = z.assets.AssetDownloadPriority.NORMAL} = options;
+
+    const existing_download = this.get_download(remote_data);
+    if (existing_download) {
+      this.set_priority(existing_download, priority);
+      if (existing_download.state() === z.assets.AssetDownloadState.FAILED) {
+        this.resume(existing_download);
+      }
+      return existing_download.promise;
+    }
+
+    const download = {
+      attempts: 0,
+      id: remote_data.identifier,
+      load_id: 0,
+      name: name,
+      priority: ko.observable(priority),
+      progress: remote_data.download_progress,
+      remote_data: remote_data,
+      retry_timeout: undefined,
+      sequence: this.download_sequence++,
+      state: ko.observable(z.assets.AssetDownloadState.QUEUED),
+    };
+
+    this._create_promise(download);
+    this.downloads.push(download);
+    this._schedule();
+    return download.promise;
+  }
+
+  /**
+   * Get the pending download of an asset.
+   * @param {z.assets.AssetRemoteData} remote_data - Remote data of the asset
+   * @returns {Object|undefined} Download of the downloads list
+   */
+  get_download(remote_data) {
+    return this.downloads().find((download) => download.id === remote_data.identifier);
+  }
+
+  /**
+   * Pause a download until it is resumed.
+   * @note Paused downloads restart from the beginning when resumed.
+   *
+   * @param {Object} download - Download of the downloads list
+   * @returns {undefined} No return value
+   */
+  pause(download) {
+    this._stop(download);
+    download.state(z.assets.AssetDownloadState.PAUSED);
+    this.logger.info(`Paused download of asset '${download.id}'`);
+    this._schedule();
+  }
+
+  /**
+   * Resume a paused or failed download.
+   * @note The promise of a failed download has been rejected, so resuming it starts a new one.
+   *
+   * @param {Object} download - Download of the downloads list
+   * @returns {undefined} No return value
+   */
+  resume(download) {
+    const resumable_states = [z.assets.AssetDownloadState.FAILED, z.assets.AssetDownloadState.PAUSED];
+    if (resumable_states.includes(download.state())) {
+      if (download.state() === z.assets.AssetDownloadState.FAILED) {
+        this._create_promise(download);
+      }
+
+      download.attempts = 0;
+      download.state(z.assets.AssetDownloadState.QUEUED);
+      this._schedule();
+    }
+  }
+
+  /**
+   * Resume all downloads that failed because of network errors.
+   * @returns {undefined} No return value
+   */
+  retry_failed() {
+    this.downloads()
+      .filter((download) => download.state() === z.assets.AssetDownloadState.FAILED)
+      .forEach((download) => this.resume(download));
+  }
+
+  /**
+   * Set the number of downloads transferring data at the same time.
+   * @param {number} max_concurrent_downloads - Number of concurrent downloads
+   * @returns {undefined} No return value
+   */
+  set_max_concurrent_downloads(max_concurrent_downloads) {
+    this.max_concurrent_downloads = max_concurrent_downloads;
+    this._schedule();
+  }
+
+  /**
+   * Raise the priority of a download.
+   * @param {Object} download - Download of the downloads list
+   * @param {z.assets.AssetDownloadPriority} priority - New priority
+   * @returns {undefined} No return value
+   */
+  set_priority(download, priority) {
+    if (priority > download.priority()) {
+      download.priority(priority);
+      this._schedule();
+    }
+  }
+
+  /**
+   * Create the promise that settles with the result of a download.
+   * @note Failed downloads may be resumed without anyone waiting for them, so their rejection is always handled.
+   *
+   * @private
+   * @param {Object} download - Download of the downloads list
+   * @returns {undefined} No return value
+   */
+  _create_promise(download) {
+    download.promise = new Promise((resolve, reject) => {
+      download.resolve = resolve;
+      download.reject = reject;
+    });
+    download.promise.catch(() => undefined);
+  }
+
+  /**
+   * Get the delay before a download is retried.
+   * @private
+   * @param {number} attempts - Number of failed attempts
+   * @returns {number} Delay in milliseconds
+   */
+  _get_retry_delay(attempts) {
+    const delay = ASSET_DOWNLOADER_CONFIG.RETRY.BASE_DELAY * Math.pow(2, attempts - 1);
+    return Math.min(delay, ASSET_DOWNLOADER_CONFIG.RETRY.MAX_DELAY);
+  }
+
+  /**
+   * Check whether a download failed because of the network.
+   * @private
+   * @param {Error} error - Error of the download
+   * @returns {boolean} True, if the request or the transfer was interrupted by a connection problem
+   */
+  _is_network_error(error) {
+    return error instanceof z.assets.AssetError && error.type === z.assets.AssetError.TYPE.DOWNLOAD_INTERRUPTED;
+  }
+
+  /**
+   * Retry a download after a network error or reject it.
+   * @note Downloads that fail on every attempt are rejected but stay in the downloads list to be resumed.
+   *
+   * @private
+   * @param {Object} download - Download of the downloads list
+   * @param {Error} error - Error of the download
+   * @returns {undefined} No return value
+   */
+  _on_error(download, error) {
+    if (!this._is_network_error(error)) {
+      this.downloads.remove(download);
+      download.reject(error);
+      return this._schedule();
+    }
+
+    download.attempts += 1;
+    if (download.attempts < ASSET_DOWNLOADER_CONFIG.RETRY.MAX_ATTEMPTS) {
+      const retry_delay = this._get_retry_delay(download.attempts);
+      this.logger.warn(`Download of asset '${download.id}' failed. Retrying in '${retry_delay}' ms`, error);
+
+      download.state(z.assets.AssetDownloadState.WAITING_FOR_RETRY);
+      download.retry_timeout = window.setTimeout(() => {
+        download.retry_timeout = undefined;
+        download.state(z.assets.AssetDownloadState.QUEUED);
+        this._schedule();
+      }, retry_delay);
+    } else {
+      this.logger.error(`Download of asset '${download.id}' failed after '${download.attempts}' attempts`, error);
+      download.state(z.assets.AssetDownloadState.FAILED);
+      download.reject(error);
+    }
+
+    this._schedule();
+  }
+
+  /**
+   * Start queued downloads by priority until the concurrency limit is reached.
+   * @private
+   * @returns {undefined} No return value
+   */
+  _schedule() {
+    const free_slots = this.max_concurrent_downloads - this.active_downloads().length;
+    if (free_slots <= 0) {
+      return;
+    }
+
+    this.downloads()
+      .filter((download) => download.state() === z.assets.AssetDownloadState.QUEUED)
+      .sort((download_a, download_b) => {
+        return (download_b.priority() - download_a.priority()) || (download_a.sequence - download_b.sequence);
+      })
+      .slice(0, free_slots)
+      .forEach((download) => this._start(download));
+  }
+
+  /**
+   * Start the transfer of a download.
+   * @note Results of transfers that have been stopped in the meantime are ignored.
+   *
+   * @private
+   * @param {Object} download - Download of the downloads list
+   * @returns {undefined} No return value
+   */
+  _start(download) {
+    const load_id = ++download.load_id;
+    download.state(z.assets.AssetDownloadState.DOWNLOADING);
+
+    download.remote_data.load_data()
+      .then((blob) => {
+        if (download.load_id === load_id) {
+          this.downloads.remove(download);
+          download.resolve(blob);
+          this._schedule();
+        }
+      })
+      .catch((error) => {
+        if (download.load_id === load_id) {
+          this._on_error(download, error);
+        }
+      });
+  }
+
+  /**
+   * Stop the transfer of a download and ignore its result.
+   * @private
+   * @param {Object} download - Download of the downloads list
+   * @returns {undefined} No return value
+   */
+  _stop(download) {
+    window.clearTimeout(download.retry_timeout);
+    download.retry_timeout = undefined;
+
+    if (download.state() === z.assets.AssetDownloadState.DOWNLOADING) {
+      download.load_id++;
+      if (typeof download.remote_data.abort_download === 'function') {
+        download.remote_data.abort_download();
+      }
+    }
+  }
+};
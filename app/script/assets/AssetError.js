@@ -0,0 +1,80 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.assets = z.assets || {};
+
+z.assets.AssetError = class AssetError extends Error {
+  constructor(type, message) {
+    super();
+
+    this.name = this.constructor.name;
+    this.stack = (new Error()).stack;
+    this.type = type || z.assets.AssetError.TYPE.UNKNOWN;
+
+    if (message) {
+      this.message = message;
+    } else {
+      switch (this.type) {
+        case z.assets.AssetError.TYPE.DOWNLOAD_CANCELLED:
+          this.message = 'Download was cancelled';
+          break;
+        case z.assets.AssetError.TYPE.DOWNLOAD_INTERRUPTED:
+          this.message = 'Download was interrupted by a connection problem';
+          break;
+        case z.assets.AssetError.TYPE.IMAGE_PROCESSING:
+          this.message = 'Image could not be processed';
+          break;
+        case z.assets.AssetError.TYPE.NO_UPLOAD:
+          this.message = 'No resumable upload found';
+          break;
+        case z.assets.AssetError.TYPE.UPLOAD_CANCELLED:
+          this.message = 'Upload was cancelled';
+          break;
+        case z.assets.AssetError.TYPE.UPLOAD_FAILED:
+          this.message = 'Upload was rejected by the backend';
+          break;
+        case z.assets.AssetError.TYPE.UPLOAD_INTERRUPTED:
+          this.message = 'Upload was interrupted by a connection problem';
+          break;
+        case z.assets.AssetError.TYPE.UPLOAD_PAUSED:
+          this.message = 'Upload was paused';
+          break;
+        default:
+          this.message = 'Unknown AssetError';
+      }
+    }
+  }
+
+  static get TYPE() {
+    return {
+      DOWNLOAD_CANCELLED: 'z.assets.AssetError.TYPE.DOWNLOAD_CANCELLED',
+      DOWNLOAD_INTERRUPTED: 'z.assets.AssetError.TYPE.DOWNLOAD_INTERRUPTED',
+      IMAGE_PROCESSING: 'z.assets.AssetError.TYPE.IMAGE_PROCESSING',
+      NO_UPLOAD: 'z.assets.AssetError.TYPE.NO_UPLOAD',
+      UNKNOWN: 'z.assets.AssetError.TYPE.UNKNOWN',
+      UPLOAD_CANCELLED: 'z.assets.AssetError.TYPE.UPLOAD_CANCELLED',
+      UPLOAD_FAILED: 'z.assets.AssetError.TYPE.UPLOAD_FAILED',
+      UPLOAD_INTERRUPTED: 'z.assets.AssetError.TYPE.UPLOAD_INTERRUPTED',
+      UPLOAD_PAUSED: 'z.assets.AssetError.TYPE.UPLOAD_PAUSED',
+    };
+  }
+};
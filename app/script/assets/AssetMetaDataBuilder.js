@@ -22,6 +22,14 @@
 window.z = window.z || {};
 window.z.assets = z.assets || {};
 
+const ASSET_META_DATA_BUILDER_CONFIG = {
+  POSTER_MAX_SIZE: 1920,
+  POSTER_MIME_TYPE: 'image/jpeg',
+  POSTER_QUALITY: 0.8,
+  POSTER_SEEK_TIME: 1, // seconds
+  POSTER_TIMEOUT: 5000, // milliseconds
+};
+
 // Builder for creating all kinds of asset metadata
 z.assets.AssetMetaDataBuilder = {
   _build_audio_metdadata(audiofile) {
@@ -57,7 +65,7 @@ z.assets.AssetMetaDataBuilder = {
       const url = window.URL.createObjectURL(videofile);
       const video = document.createElement('video');
       video.onloadedmetadata = () => {
-        resolve(new z.proto.Asset.VideoMetaData(video.videoWidth, video.videoHeight, video.duration));
+        resolve(new z.proto.Asset.VideoMetaData(video.videoWidth, video.videoHeight, Math.round(video.duration * 1000)));
         window.URL.revokeObjectURL(url);
       };
       video.onerror = (error) => {
@@ -68,6 +76,25 @@ z.assets.AssetMetaDataBuilder = {
     });
   },
 
+  /**
+   * Draw the current frame of a video element to a canvas.
+   *
+   * @private
+   * @param {HTMLVideoElement} video - Video element that has seeked to the poster frame
+   * @returns {Promise} Resolves with the frame as image Blob
+   */
+  _draw_video_frame(video) {
+    const scale = Math.min(1, ASSET_META_DATA_BUILDER_CONFIG.POSTER_MAX_SIZE / Math.max(video.videoWidth, video.videoHeight));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(video.videoWidth * scale);
+    canvas.height = Math.round(video.videoHeight * scale);
+    canvas.getContext('2d').drawImage(video, 0, 0, canvas.width, canvas.height);
+
+    return new Promise((resolve) => {
+      canvas.toBlob(resolve, ASSET_META_DATA_BUILDER_CONFIG.POSTER_MIME_TYPE, ASSET_META_DATA_BUILDER_CONFIG.POSTER_QUALITY);
+    });
+  },
+
   _normalise_loudness(audio_buffer) {
     const MAX_SAMPLES = 200;
     const AMPLIFIER = 700; // in favour of iterating all samples before we interpolate them
@@ -82,6 +109,22 @@ z.assets.AssetMetaDataBuilder = {
     return new Uint8Array(preview);
   },
 
+  /**
+   * Stop a video element used for poster generation and free its object URL.
+   *
+   * @private
+   * @param {HTMLVideoElement} video - Video element to stop
+   * @param {string} url - Object URL of the video file
+   * @param {number} timeout_id - ID of the poster timeout
+   * @returns {undefined} No return value
+   */
+  _release_video(video, url, timeout_id) {
+    window.clearTimeout(timeout_id);
+    video.onloadeddata = video.onseeked = video.onerror = null;
+    video.removeAttribute('src');
+    window.URL.revokeObjectURL(url);
+  },
+
   /**
    * Constructs corresponding asset metadata depending on the given file type
    * @param {File|Blob} file - the file to generate metadata for
@@ -102,6 +145,50 @@ z.assets.AssetMetaDataBuilder = {
     return Promise.resolve();
   },
 
+  /**
+   * Generate a poster frame for a video by seeking a hidden video element.
+   * @note Seeks to one second or to the middle of shorter videos to skip black intro frames.
+   * @note Resolves without a poster frame if the video cannot be seeked in time.
+   *
+   * @param {File|Blob} videofile - Video to generate the poster frame for
+   * @returns {Promise} Resolves with the poster frame as image Blob
+   */
+  build_video_poster(videofile) {
+    const url = window.URL.createObjectURL(videofile);
+    const video = document.createElement('video');
+    let timeout_id;
+
+    return new Promise((resolve, reject) => {
+      timeout_id = window.setTimeout(resolve, ASSET_META_DATA_BUILDER_CONFIG.POSTER_TIMEOUT);
+
+      video.muted = true;
+      video.preload = 'auto';
+      video.onloadeddata = () => {
+        video.currentTime = Math.min(ASSET_META_DATA_BUILDER_CONFIG.POSTER_SEEK_TIME, video.duration / 2);
+      };
+      video.onseeked = () => {
+        Promise.resolve()
+        .then(() => this._draw_video_frame(video))
+        .then((blob) => {
+          if (!blob) {
+            throw new Error('Failed to draw poster frame');
+          }
+          resolve(blob);
+        })
+        .catch(reject);
+      };
+      video.onerror = reject;
+      video.src = url;
+    })
+    .then((blob) => {
+      this._release_video(video, url, timeout_id);
+      return blob;
+    })
+    .catch((error) => {
+      this._release_video(video, url, timeout_id);
+      throw error;
+    });
+  },
 
   is_audio(file) {
     return file && file.type.startsWith('audio');
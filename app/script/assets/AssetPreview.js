@@ -0,0 +1,194 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.assets = z.assets || {};
+
+// Previews are created from the decrypted blob on this device. File contents are never sent anywhere.
+z.assets.AssetPreview = (function() {
+  const ASSET_PREVIEW_CONFIG = {
+    CODE_LANGUAGES: {
+      c: 'cpp',
+      coffee: 'coffeescript',
+      cpp: 'cpp',
+      cs: 'cs',
+      css: 'css',
+      go: 'go',
+      h: 'cpp',
+      html: 'xml',
+      java: 'java',
+      js: 'javascript',
+      json: 'json',
+      kt: 'kotlin',
+      less: 'less',
+      m: 'objectivec',
+      md: 'markdown',
+      php: 'php',
+      py: 'python',
+      rb: 'ruby',
+      rs: 'rust',
+      scss: 'scss',
+      sh: 'bash',
+      sql: 'sql',
+      swift: 'swift',
+      ts: 'typescript',
+      xml: 'xml',
+      yaml: 'yaml',
+      yml: 'yaml',
+    },
+    MAX_FILE_SIZE: {
+      [z.assets.AssetPreviewType.CALENDAR]: 1024 * 1024,
+      [z.assets.AssetPreviewType.CODE]: 1024 * 1024,
+      [z.assets.AssetPreviewType.PDF]: 25 * 1024 * 1024,
+      [z.assets.AssetPreviewType.TEXT]: 1024 * 1024,
+    },
+    TEXT_EXTENSIONS: ['csv', 'log', 'tsv', 'txt'],
+  };
+
+  const ICS_DATE_REGEX = /^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z)?)?$/;
+  const ICS_LINE_REGEX = /^([^:;]+)((?:;[^:"]*(?:"[^"]*")?[^:"]*)*):(.*)$/;
+
+  /**
+   * Get the preview type of a file.
+   *
+   * @param {string} file_name - Name of the file
+   * @param {string} file_type - MIME type of the file
+   * @param {number} file_size - Size of the file in bytes
+   * @returns {Object|undefined} Preview type and highlighting language or undefined if the file cannot be previewed
+   */
+  const get_preview_type = function(file_name, file_type = '', file_size = 0) {
+    const extension = (z.util.get_file_extension(file_name) || '').toLowerCase();
+    const mime_type = file_type.toLowerCase();
+
+    let preview_type;
+    if (extension === 'pdf' || mime_type === 'application/pdf') {
+      preview_type = {type: z.assets.AssetPreviewType.PDF};
+    } else if (extension === 'ics' || mime_type === 'text/calendar') {
+      preview_type = {type: z.assets.AssetPreviewType.CALENDAR};
+    } else if (ASSET_PREVIEW_CONFIG.CODE_LANGUAGES.hasOwnProperty(extension)) {
+      preview_type = {language: ASSET_PREVIEW_CONFIG.CODE_LANGUAGES[extension], type: z.assets.AssetPreviewType.CODE};
+    } else if (mime_type === 'application/json') {
+      preview_type = {language: 'json', type: z.assets.AssetPreviewType.CODE};
+    } else if (ASSET_PREVIEW_CONFIG.TEXT_EXTENSIONS.includes(extension) || mime_type.startsWith('text/')) {
+      preview_type = {type: z.assets.AssetPreviewType.TEXT};
+    }
+
+    if (preview_type && file_size <= ASSET_PREVIEW_CONFIG.MAX_FILE_SIZE[preview_type.type]) {
+      return preview_type;
+    }
+  };
+
+  /**
+   * Parse a date value of an iCalendar file.
+   * @note Floating times and times with a TZID are interpreted in the local time zone.
+   *
+   * @param {string} value - Date or date-time value
+   * @returns {Object|undefined} Date and whether it is a whole day
+   */
+  const _parse_calendar_date = function(value) {
+    const match = ICS_DATE_REGEX.exec(value.trim());
+    if (!match) {
+      return undefined;
+    }
+
+    const [year, month, day, hours, minutes, seconds] = match.slice(1, 7).map((part) => window.parseInt(part || 0, 10));
+    const all_day = match[4] === undefined;
+    const date = match[7]
+      ? new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds))
+      : new Date(year, month - 1, day, hours, minutes, seconds);
+
+    return {all_day, date};
+  };
+
+  const _unescape_calendar_text = function(value) {
+    return value.replace(/\\([;,nN\\])/g, (match, character) => (character.toLowerCase() === 'n' ? '\n' : character));
+  };
+
+  /**
+   * Parse the events of an iCalendar file.
+   * @param {string} text - Content of the iCalendar file
+   * @returns {Array<Object>} Events with summary, location, organizer, description, start and end
+   */
+  const parse_calendar = function(text) {
+    const lines = text.replace(/\r?\n[ \t]/g, '').split(/\r?\n/);
+    const events = [];
+    let event;
+
+    lines.forEach((line) => {
+      const match = ICS_LINE_REGEX.exec(line);
+      if (!match) {
+        return;
+      }
+
+      const name = match[1].toUpperCase();
+      const parameters = match[2];
+      const value = match[3];
+
+      if (name === 'BEGIN' && value.toUpperCase() === 'VEVENT') {
+        event = {};
+        return;
+      }
+
+      if (!event) {
+        return;
+      }
+
+      switch (name) {
+        case 'DESCRIPTION':
+        case 'LOCATION':
+        case 'SUMMARY':
+          event[name.toLowerCase()] = _unescape_calendar_text(value);
+          break;
+        case 'DTEND':
+        case 'DTSTART': {
+          const parsed_date = _parse_calendar_date(value);
+          if (parsed_date) {
+            event[name === 'DTSTART' ? 'start' : 'end'] = parsed_date.date;
+            if (name === 'DTSTART') {
+              event.all_day = parsed_date.all_day;
+            }
+          }
+          break;
+        }
+        case 'END':
+          if (value.toUpperCase() === 'VEVENT') {
+            events.push(event);
+            event = undefined;
+          }
+          break;
+        case 'ORGANIZER': {
+          const common_name = /;CN="?([^";]*)"?/i.exec(parameters);
+          event.organizer = common_name ? common_name[1] : value.replace(/^mailto:/i, '');
+          break;
+        }
+        default:
+          break;
+      }
+    });
+
+    return events.sort((event_a, event_b) => (event_a.start || 0) - (event_b.start || 0));
+  };
+
+  return {
+    get_preview_type,
+    parse_calendar,
+  };
+})();
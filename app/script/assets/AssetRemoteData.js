@@ -22,6 +22,10 @@
 window.z = window.z || {};
 window.z.assets = z.assets || {};
 
+const ASSET_REMOTE_DATA_CONFIG = {
+  BLOB_PART_SIZE: 16 * 1024 * 1024, // 16 MB of plaintext are moved into a Blob at once
+};
+
 z.assets.AssetRemoteData = class AssetRemoteData {
 
   /**
@@ -32,8 +36,8 @@ z.assets.AssetRemoteData = class AssetRemoteData {
   constructor(otr_key, sha256) {
     this.otr_key = otr_key;
     this.sha256 = sha256;
+    this.abort_download = undefined;
     this.download_progress = ko.observable();
-    this.cancel_download = undefined;
     this.generate_url = undefined;
     this.identifier = undefined;
   }
@@ -45,12 +49,12 @@ z.assets.AssetRemoteData = class AssetRemoteData {
    * @param {Uint8Array} [otr_key] - Encryption key
    * @param {Uint8Array} [sha256] - Checksum
    * @param {string} [asset_token] - Token data
-   * @param {boolean} [force_caching=false] - Cache asset in ServiceWorker
+   * @param {Object} [cache_options] - Cache asset in ServiceWorker with conversation ID and retention policy
    * @returns {z.assets.AssetRemoteData} V3 asset remote data
    */
-  static v3(asset_key, otr_key, sha256, asset_token, force_caching = false) {
+  static v3(asset_key, otr_key, sha256, asset_token, cache_options) {
     const remote_data = new z.assets.AssetRemoteData(otr_key, sha256);
-    remote_data.generate_url = () => wire.app.service.asset.generate_asset_url_v3(asset_key, asset_token, force_caching);
+    remote_data.generate_url = () => wire.app.service.asset.generate_asset_url_v3(asset_key, asset_token, cache_options);
     remote_data.identifier = `${asset_key}`;
     return remote_data;
   }
@@ -62,12 +66,12 @@ z.assets.AssetRemoteData = class AssetRemoteData {
    * @param {string} asset_id - ID to retrieve asset with
    * @param {Uint8Array} otr_key - Encryption key
    * @param {Uint8Array} sha256 - Checksum
-   * @param {boolean} [force_caching=false] - Cache asset in ServiceWorker
+   * @param {Object} [cache_options] - Cache asset in ServiceWorker with conversation ID and retention policy
    * @returns {z.assets.AssetRemoteData} V2 asset remote data
    */
-  static v2(conversation_id, asset_id, otr_key, sha256, force_caching = false) {
+  static v2(conversation_id, asset_id, otr_key, sha256, cache_options) {
     const remote_data = new z.assets.AssetRemoteData(otr_key, sha256);
-    remote_data.generate_url = () => wire.app.service.asset.generate_asset_url_v2(asset_id, conversation_id, force_caching);
+    remote_data.generate_url = () => wire.app.service.asset.generate_asset_url_v2(asset_id, conversation_id, cache_options);
     remote_data.identifier = `${conversation_id}${asset_id}`;
     return remote_data;
   }
@@ -78,21 +82,49 @@ z.assets.AssetRemoteData = class AssetRemoteData {
    * @deprecated
    * @param {string} conversation_id - ID of conversation
    * @param {string} asset_id - ID to retrieve asset with
-   * @param {boolean} [force_caching=false] - Cache asset in ServiceWorker
+   * @param {Object} [cache_options] - Cache asset in ServiceWorker with conversation ID and retention policy
    * @returns {z.assets.AssetRemoteData} V1 asset remote data
    */
-  static v1(conversation_id, asset_id, force_caching = false) {
+  static v1(conversation_id, asset_id, cache_options) {
     const remote_data = new z.assets.AssetRemoteData();
-    remote_data.generate_url = () => wire.app.service.asset.generate_asset_url(asset_id, conversation_id, force_caching);
+    remote_data.generate_url = () => wire.app.service.asset.generate_asset_url(asset_id, conversation_id, cache_options);
     remote_data.identifier = `${conversation_id}${asset_id}`;
     return remote_data;
   }
 
+  /**
+   * Cancel the download of the asset.
+   * @returns {undefined} No return value
+   */
+  cancel_download() {
+    const asset_downloader = wire.app.repository.asset_downloader;
+    const download = asset_downloader.get_download(this);
+    if (download) {
+      asset_downloader.cancel(download);
+    }
+  }
+
+  /**
+   * Queue the download of the asset with the asset downloader.
+   *
+   * @param {z.assets.AssetDownloadPriority} [priority] - Priority of the download
+   * @param {string} [name] - Name of the asset shown in the downloads list
+   * @returns {Promise} Resolves with the decrypted asset as Blob
+   */
+  load(priority, name) {
+    return wire.app.repository.asset_downloader.download(this, {name, priority});
+  }
+
   /**
    * Loads and decrypts stored asset
-   * @returns {Blob} Decrypted asset data
+   * @note Use 'load' to download the asset through the download queue.
+   * @returns {Promise} Resolves with the decrypted asset as Blob
    */
-  load() {
+  load_data() {
+    if (this._can_load_stream()) {
+      return this._load_stream();
+    }
+
     let mime_type;
 
     return this._load_buffer()
@@ -103,26 +135,130 @@ z.assets.AssetRemoteData = class AssetRemoteData {
       }
       return buffer;
     })
-    .then((plaintext) => new Blob([new Uint8Array(plaintext)], {mime_type}));
+    .then((plaintext) => new Blob([new Uint8Array(plaintext)], {type: mime_type}));
   }
 
   /**
    * Get object url for asset remote data. URLs are cached in memory.
+   * @param {z.assets.AssetDownloadPriority} [priority] - Priority of the download
    * @returns {Promise<string>} Object URL for asset
    */
-  get_object_url() {
+  get_object_url(priority) {
     const object_url = z.assets.AssetURLCache.get_url(this.identifier);
     if (object_url != null) {
       return Promise.resolve(object_url);
     }
 
-    return this.load().then((blob) => z.assets.AssetURLCache.set_url(this.identifier, window.URL.createObjectURL(blob)));
+    return this.load(priority).then((blob) => z.assets.AssetURLCache.set_url(this.identifier, window.URL.createObjectURL(blob)));
+  }
+
+  /**
+   * Check whether the asset can be downloaded, verified and decrypted chunk by chunk.
+   * @private
+   * @returns {boolean} True, if the asset is encrypted and the browser supports streaming downloads
+   */
+  _can_load_stream() {
+    const is_encrypted = (this.otr_key != null) && (this.sha256 != null);
+    const supports_streams = !!(window.fetch && window.ReadableStream && window.Response && 'body' in window.Response.prototype);
+    return is_encrypted && supports_streams;
   }
 
   _load_buffer() {
     return z.util.load_url_buffer(this.generate_url(), (xhr) => {
       xhr.onprogress = (event) => this.download_progress(Math.round((event.loaded / event.total) * 100));
-      return this.cancel_download = () => xhr.abort.call(xhr);
+      return this.abort_download = () => xhr.abort.call(xhr);
+    })
+    .catch((error) => {
+      // The request rejects with the 'error' event of the XMLHttpRequest if it fails without a response
+      if (!(error instanceof Error)) {
+        throw new z.assets.AssetError(z.assets.AssetError.TYPE.DOWNLOAD_INTERRUPTED);
+      }
+      throw error;
+    });
+  }
+
+  /**
+   * Download, verify and decrypt an asset chunk by chunk.
+   * @note Plaintext is moved into a Blob regularly so that large assets are not kept in memory several times.
+   *
+   * @private
+   * @returns {Promise} Resolves with the decrypted asset as Blob
+   */
+  _load_stream() {
+    const decrypter = z.assets.AssetCrypto.create_aes_asset_decrypter(this.otr_key.buffer, this.sha256.buffer);
+    let blob_parts = [];
+    let cancelled = false;
+    let pending_plaintext_size = 0;
+    let reader = undefined;
+
+    this.abort_download = () => {
+      cancelled = true;
+      if (reader) {
+        reader.cancel();
+      }
+    };
+
+    const add_plaintext = (plaintext) => {
+      blob_parts.push(plaintext);
+      pending_plaintext_size += plaintext.length;
+
+      if (pending_plaintext_size >= ASSET_REMOTE_DATA_CONFIG.BLOB_PART_SIZE) {
+        blob_parts = [new Blob(blob_parts)];
+        pending_plaintext_size = 0;
+      }
+    };
+
+    const on_network_error = () => {
+      throw new z.assets.AssetError(z.assets.AssetError.TYPE.DOWNLOAD_INTERRUPTED);
+    };
+
+    return window.fetch(this.generate_url())
+    .catch(on_network_error)
+    .then((response) => {
+      if (!response.ok) {
+        throw new Error(`Requesting stream failed with status ${response.status}`);
+      }
+
+      const mime_type = response.headers.get('content-type');
+      const total_bytes = window.parseInt(response.headers.get('content-length'), 10);
+      let loaded_bytes = 0;
+      reader = response.body.getReader();
+
+      const read_chunk = () => {
+        if (cancelled) {
+          reader.cancel();
+          throw new z.assets.AssetError(z.assets.AssetError.TYPE.DOWNLOAD_CANCELLED);
+        }
+
+        return reader.read()
+        .catch(on_network_error)
+        .then(({done, value}) => {
+          if (cancelled) {
+            throw new z.assets.AssetError(z.assets.AssetError.TYPE.DOWNLOAD_CANCELLED);
+          }
+
+          if (done) {
+            return decrypter.finalize()
+            .then((plaintext) => {
+              add_plaintext(plaintext);
+              return new Blob(blob_parts, {type: mime_type});
+            });
+          }
+
+          loaded_bytes += value.length;
+          if (total_bytes) {
+            this.download_progress(Math.round((loaded_bytes / total_bytes) * 100));
+          }
+
+          return decrypter.update(value)
+          .then((plaintext) => {
+            add_plaintext(plaintext);
+            return read_chunk();
+          });
+        });
+      };
+
+      return read_chunk();
     });
   }
 };
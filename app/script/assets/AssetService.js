@@ -22,6 +22,14 @@
 window.z = window.z || {};
 window.z.assets = z.assets || {};
 
+const ASSET_SERVICE_CONFIG = {
+  IMAGE_MAX_FILE_SIZE: 310 * 1024,
+  IMAGE_MIME_TYPE: 'image/jpeg',
+  // formats kept as they are instead of being converted to JPEG, e.g. lossless PNG for screenshots
+  IMAGE_PRESERVED_MIME_TYPES: ['image/gif', 'image/png'],
+  PROFILE_IMAGE_MAX_FILE_SIZE: 1024 * 1024,
+};
+
 // AssetService for all asset handling and the calls to the backend REST API.
 z.assets.AssetService = class AssetService {
 
@@ -94,7 +102,7 @@ z.assets.AssetService = class AssetService {
   upload_profile_image(conversation_id, image) {
     return Promise.all([
       this._compress_profile_image(image),
-      this._compress_image(image),
+      this._compress_image(image, ASSET_SERVICE_CONFIG.IMAGE_MIME_TYPE),
     ]).then(([small, medium]) => {
       const [small_image, small_image_bytes] = small;
       const [medium_image, medium_image_bytes] = medium;
@@ -132,7 +140,7 @@ z.assets.AssetService = class AssetService {
   upload_profile_image_v3(image) {
     return Promise.all([
       this._compress_profile_image(image),
-      this._compress_image(image),
+      this._compress_image(image, ASSET_SERVICE_CONFIG.IMAGE_MIME_TYPE),
     ])
     .then(([small, medium]) => {
       const [, small_image_bytes] = small;
@@ -202,12 +210,12 @@ z.assets.AssetService = class AssetService {
    */
   upload_image_asset(image, options) {
     return this._compress_image(image)
-    .then(([compressed_image, compressed_bytes]) => {
+    .then(([compressed_image, compressed_bytes, mime_type]) => {
       return this._upload_asset(compressed_bytes, options)
       .then(function([key_bytes, sha256, key, token]) {
         const image_meta_data = new z.proto.Asset.ImageMetaData(compressed_image.width, compressed_image.height);
         const asset = new z.proto.Asset();
-        asset.set('original', new z.proto.Asset.Original(image.type, compressed_bytes.length, null, image_meta_data));
+        asset.set('original', new z.proto.Asset.Original(mime_type, compressed_bytes.length, null, image_meta_data));
         asset.set('uploaded', new z.proto.Asset.RemoteData(key_bytes, sha256, key, token));
         return asset;
       });
@@ -221,16 +229,13 @@ z.assets.AssetService = class AssetService {
    * @deprecated
    * @param {string} asset_id - ID of asset
    * @param {string} conversation_id - Conversation ID
-   * @param {boolean} force_caching - Cache asset in ServiceWorker
+   * @param {Object} [cache_options] - Cache asset in ServiceWorker
    * @returns {string} URL of v1 asset
    */
-  generate_asset_url(asset_id, conversation_id, force_caching) {
+  generate_asset_url(asset_id, conversation_id, cache_options) {
     const url = this.client.create_url(`/assets/${asset_id}`);
-    let asset_url = `${url}?access_token=${this.client.access_token}&conv_id=${conversation_id}`;
-    if (force_caching) {
-      asset_url = `${asset_url}&forceCaching=true`;
-    }
-    return asset_url;
+    const asset_url = `${url}?access_token=${this.client.access_token}&conv_id=${conversation_id}`;
+    return this._append_cache_parameters(asset_url, cache_options);
   }
 
   /**
@@ -239,16 +244,13 @@ z.assets.AssetService = class AssetService {
    * @deprecated
    * @param {string} asset_id - ID of asset
    * @param {string} conversation_id - Conversation ID
-   * @param {boolean} force_caching - Cache asset in ServiceWorker
+   * @param {Object} [cache_options] - Cache asset in ServiceWorker
    * @returns {string} URL of v2 asset
    */
-  generate_asset_url_v2(asset_id, conversation_id, force_caching) {
+  generate_asset_url_v2(asset_id, conversation_id, cache_options) {
     const url = this.client.create_url(`/conversations/${conversation_id}/otr/assets/${asset_id}`);
-    let asset_url = `${url}?access_token=${this.client.access_token}`;
-    if (force_caching) {
-      asset_url = `${asset_url}&forceCaching=true`;
-    }
-    return asset_url;
+    const asset_url = `${url}?access_token=${this.client.access_token}`;
+    return this._append_cache_parameters(asset_url, cache_options);
   }
 
   /**
@@ -256,17 +258,37 @@ z.assets.AssetService = class AssetService {
    *
    * @param {string} asset_key - ID of asset
    * @param {string} asset_token - Asset token
-   * @param {boolean} force_caching - Cache asset in ServiceWorker
+   * @param {Object} [cache_options] - Cache asset in ServiceWorker
    * @returns {string} URL of v3 asset
    */
-  generate_asset_url_v3(asset_key, asset_token, force_caching) {
+  generate_asset_url_v3(asset_key, asset_token, cache_options) {
     const url = this.client.create_url(`/assets/v3/${asset_key}/`);
     let asset_url = `${url}?access_token=${this.client.access_token}`;
     if (asset_token) {
       asset_url = `${asset_url}&asset_token=${asset_token}`;
     }
-    if (force_caching) {
-      asset_url = `${asset_url}&forceCaching=true`;
+    return this._append_cache_parameters(asset_url, cache_options);
+  }
+
+  /**
+   * Append the parameters that make the ServiceWorker cache an asset.
+   * @note The ServiceWorker evicts assets by their retention and keeps assets of pinned conversations.
+   *
+   * @param {string} asset_url - URL of asset
+   * @param {Object} [cache_options] - Caching options, asset is not cached if not set
+   * @param {string} [cache_options.conversation_id] - ID of conversation the asset belongs to
+   * @param {z.assets.AssetRetentionPolicy} [cache_options.retention=z.assets.AssetRetentionPolicy.PERSISTENT] - Retention of cached asset
+   * @returns {string} URL of asset with cache parameters
+   */
+  _append_cache_parameters(asset_url, cache_options) {
+    if (!cache_options) {
+      return asset_url;
+    }
+
+    const {conversation_id, retention = z.assets.AssetRetentionPolicy.PERSISTENT} = cache_options;
+    asset_url = `${asset_url}&forceCaching=true&retention=${retention}`;
+    if (conversation_id) {
+      asset_url = `${asset_url}&conversation=${conversation_id}`;
     }
     return asset_url;
   }
@@ -392,6 +414,81 @@ z.assets.AssetService = class AssetService {
     });
   }
 
+  /**
+   * Create a resumable upload using asset api v3.
+   *
+   * @param {number} size - Size of the asset data in bytes
+   * @param {Object} metadata - Asset metadata
+   * @param {boolean} metadata.public - Flag whether asset is public
+   * @param {z.assets.AssetRetentionPolicy} metadata.retention - Retention duration policy for asset
+   * @returns {Promise} Resolves with the key, expiry and chunk size of the upload
+   */
+  post_resumable_asset_v3(size, metadata) {
+    return this.client.send_json({
+      data: Object.assign({
+        public: false,
+        retention: z.assets.AssetRetentionPolicy.PERSISTENT,
+        size: size,
+      }, metadata),
+      type: 'POST',
+      url: this.client.create_url('/assets/v3/resumable'),
+    });
+  }
+
+  /**
+   * Get the number of bytes of a resumable upload that have been received by the backend.
+   * @param {string} asset_key - Key of the resumable upload
+   * @returns {Promise} Resolves with the offset to continue the upload at
+   */
+  head_resumable_asset_v3(asset_key) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('HEAD', this.client.create_url(`/assets/v3/resumable/${asset_key}`));
+      xhr.setRequestHeader('Authorization', `${this.client.access_token_type} ${this.client.access_token}`);
+      xhr.onload = function() {
+        if (this.status === 200) {
+          return resolve(window.parseInt(this.getResponseHeader('Upload-Offset'), 10));
+        }
+        return reject(new z.assets.AssetError(z.assets.AssetError.TYPE.UPLOAD_FAILED, `Failed to get offset of upload '${asset_key}': ${this.status}`));
+      };
+      xhr.onerror = () => reject(new z.assets.AssetError(z.assets.AssetError.TYPE.UPLOAD_INTERRUPTED));
+      xhr.send();
+    });
+  }
+
+  /**
+   * Upload a chunk of a resumable upload using asset api v3.
+   *
+   * @param {string} asset_key - Key of the resumable upload
+   * @param {number} offset - Offset of the chunk in the asset data
+   * @param {Blob} chunk - Chunk of the encrypted asset data
+   * @param {Function} xhr_accessor_function - Function will get a reference to the underlying XMLHTTPRequest
+   * @returns {Promise} Resolves with the offset of the next chunk
+   */
+  patch_resumable_asset_v3(asset_key, offset, chunk, xhr_accessor_function) {
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest();
+      xhr.open('PATCH', this.client.create_url(`/assets/v3/resumable/${asset_key}`));
+      xhr.setRequestHeader('Authorization', `${this.client.access_token_type} ${this.client.access_token}`);
+      xhr.setRequestHeader('Content-Type', 'application/offset+octet-stream');
+      xhr.setRequestHeader('Upload-Offset', `${offset}`);
+      xhr.onload = function() {
+        if (this.status === 200 || this.status === 204) {
+          return resolve(window.parseInt(this.getResponseHeader('Upload-Offset'), 10));
+        }
+        return reject(new z.assets.AssetError(z.assets.AssetError.TYPE.UPLOAD_FAILED, `Failed to upload chunk of '${asset_key}' at '${offset}': ${this.status}`));
+      };
+      xhr.onabort = () => reject(new z.assets.AssetError(z.assets.AssetError.TYPE.UPLOAD_CANCELLED));
+      xhr.onerror = () => reject(new z.assets.AssetError(z.assets.AssetError.TYPE.UPLOAD_INTERRUPTED));
+
+      if (typeof xhr_accessor_function === 'function') {
+        xhr_accessor_function(xhr);
+      }
+
+      xhr.send(chunk);
+    });
+  }
+
   /**
    * Cancel an asset upload.
    * @param {string} upload_id - Identifies the upload request
@@ -413,7 +510,7 @@ z.assets.AssetService = class AssetService {
    */
   create_image_proto(image) {
     return this._compress_image(image)
-    .then(([compressed_image, compressed_bytes]) => {
+    .then(([compressed_image, compressed_bytes, mime_type]) => {
       return z.assets.AssetCrypto.encrypt_aes_asset(compressed_bytes)
       .then(([key_bytes, sha256, ciphertext]) => {
         const image_asset = new z.proto.ImageAsset();
@@ -422,7 +519,7 @@ z.assets.AssetService = class AssetService {
         image_asset.set_height(compressed_image.height);
         image_asset.set_original_width(compressed_image.width);
         image_asset.set_original_height(compressed_image.height);
-        image_asset.set_mime_type(image.type);
+        image_asset.set_mime_type(mime_type);
         image_asset.set_size(compressed_bytes.length);
         image_asset.set_otr_key(key_bytes);
         image_asset.set_sha256(sha256);
@@ -449,42 +546,62 @@ z.assets.AssetService = class AssetService {
 
   /**
    * Compress image.
-   * @param {File|Blob} image - Image to be compressed in ServiceWorker
-   * @returns {Promise} Resolves with the compressed imaged
+   * @note Images are always re-encoded to strip metadata like EXIF and XMP and to normalize the orientation.
+   *
+   * @param {File|Blob} image - Image to be compressed in WebWorker
+   * @param {string} [mime_type] - Output format, defaults to JPEG unless the format of the image is preserved
+   * @returns {Promise} Resolves with the compressed image, its bytes and its format
    */
-  _compress_image(image) {
-    return this._compress_image_with_worker('worker/image-worker.js', image, () => image.type === 'image/gif');
+  _compress_image(image, mime_type = this._get_image_mime_type(image)) {
+    const options = {max_file_size: ASSET_SERVICE_CONFIG.IMAGE_MAX_FILE_SIZE, mime_type: mime_type};
+    return this._compress_image_with_worker('worker/image-worker.js', image, options);
   }
 
   /**
    * Compress profile image.
-   * @param {File|Blob} image - Profile image to be compressed in ServiceWorker
-   * @returns {Promise} Resolves with the compressed profile imaged
+   * @param {File|Blob} image - Profile image to be compressed in WebWorker
+   * @returns {Promise} Resolves with the compressed profile image, its bytes and its format
    */
   _compress_profile_image(image) {
-    return this._compress_image_with_worker('worker/profile-image-worker.js', image);
+    const options = {max_file_size: ASSET_SERVICE_CONFIG.PROFILE_IMAGE_MAX_FILE_SIZE, mime_type: ASSET_SERVICE_CONFIG.IMAGE_MIME_TYPE};
+    return this._compress_image_with_worker('worker/profile-image-worker.js', image, options);
   }
 
   /**
    * Compress image using given worker.
+   *
    * @param {string} worker - Path to worker file
-   * @param {File|Blob} image - Image to be compressed in ServiceWorker
-   * @param {Function} filter - Optional filter to be applied
-   * @returns {Promise} Resolves with the compressed image
+   * @param {File|Blob} image - Image to be compressed in WebWorker
+   * @param {Object} options - Image processing options
+   * @param {number} options.max_file_size - Size limit in bytes for JPEG output
+   * @param {string} options.mime_type - Output format
+   * @returns {Promise} Resolves with the compressed image, its bytes and its format
    */
-  _compress_image_with_worker(worker, image, filter) {
+  _compress_image_with_worker(worker, image, options) {
     return z.util.load_file_buffer(image)
-    .then((buffer) => {
-      if (typeof filter === 'function' ? filter() : undefined) {
-        return new Uint8Array(buffer);
+    .then((buffer) => new z.util.Worker(worker).post(Object.assign({buffer: buffer}, options)))
+    .then(({buffer: compressed_bytes, error, mime_type}) => {
+      if (error) {
+        throw new z.assets.AssetError(z.assets.AssetError.TYPE.IMAGE_PROCESSING, `Failed to process image: ${error}`);
       }
-      return new z.util.Worker(worker).post(buffer);
-    })
-    .then((compressed_bytes) => {
+
       return Promise.all([
-        z.util.load_image(new Blob([compressed_bytes], {'type': image.type})),
+        z.util.load_image(new Blob([compressed_bytes], {'type': mime_type})),
         compressed_bytes,
+        mime_type,
       ]);
     });
   }
+
+  /**
+   * Get the output format for an image.
+   * @param {File|Blob} image - Image to be compressed
+   * @returns {string} MIME type of the compressed image
+   */
+  _get_image_mime_type(image) {
+    if (ASSET_SERVICE_CONFIG.IMAGE_PRESERVED_MIME_TYPES.includes(image.type)) {
+      return image.type;
+    }
+    return ASSET_SERVICE_CONFIG.IMAGE_MIME_TYPE;
+  }
 };
@@ -26,6 +26,7 @@ z.assets.AssetTransferState = {
   DOWNLOADING: 'downloading',
   UPLOAD_CANCELED: 'upload-canceled',
   UPLOAD_FAILED: 'upload-failed',
+  UPLOAD_PAUSED: 'upload-paused',
   UPLOADED: 'uploaded',
   UPLOADING: 'uploading',
 };
@@ -0,0 +1,262 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.assets = z.assets || {};
+
+const ASSET_UPLOADER_CONFIG = {
+  CHUNK_SIZE: 1024 * 1024, // 1 MB, used if the backend does not propose a chunk size
+};
+
+z.assets.AssetUploader = class AssetUploader {
+  /**
+   * Construct a new Asset Uploader.
+   * @note Uploads encrypted assets in chunks and persists the progress per message nonce to resume after connection loss or reload.
+   *
+   * @param {z.assets.AssetService} asset_service - Backend REST API asset service implementation
+   * @param {z.storage.StorageService} storage_service - Service for all storage interactions
+   */
+  constructor(asset_service, storage_service) {
+    this.asset_service = asset_service;
+    this.storage_service = storage_service;
+    this.logger = new z.util.Logger('z.assets.AssetUploader', z.config.LOGGER.OPTIONS);
+
+    this.active_uploads = {};
+  }
+
+  /**
+   * Cancel an upload and discard its progress.
+   * @param {string} nonce - Nonce of the message the asset belongs to
+   * @returns {Promise} Resolves when the upload has been removed
+   */
+  cancel(nonce) {
+    const upload = this.active_uploads[nonce];
+    delete this.active_uploads[nonce];
+
+    if (upload) {
+      upload.cancelled = true;
+      if (upload.xhr) {
+        upload.xhr.abort();
+      }
+    }
+
+    return this.storage_service.delete(this.storage_service.OBJECT_STORE_UPLOADS, nonce);
+  }
+
+  /**
+   * Check whether an upload is currently transferring data.
+   * @param {string} nonce - Nonce of the message the asset belongs to
+   * @returns {boolean} True, if chunks of the upload are being sent
+   */
+  is_active(nonce) {
+    return !!this.active_uploads[nonce];
+  }
+
+  /**
+   * Load all uploads that have not been completed yet.
+   * @returns {Promise} Resolves with the stored uploads
+   */
+  load_uploads() {
+    return this.storage_service.get_all(this.storage_service.OBJECT_STORE_UPLOADS);
+  }
+
+  /**
+   * Pause an upload until it is resumed explicitly.
+   * @param {string} nonce - Nonce of the message the asset belongs to
+   * @returns {Promise} Resolves when the upload has been paused
+   */
+  pause(nonce) {
+    return this.storage_service.update(this.storage_service.OBJECT_STORE_UPLOADS, nonce, {paused: true})
+    .then(() => {
+      const upload = this.active_uploads[nonce];
+      if (upload) {
+        upload.paused = true;
+        if (upload.xhr) {
+          upload.xhr.abort();
+        }
+      }
+    });
+  }
+
+  /**
+   * Resume an upload at the offset confirmed by the backend.
+   *
+   * @param {string} nonce - Nonce of the message the asset belongs to
+   * @param {Function} on_progress - Called with the upload progress in percent
+   * @returns {Promise} Resolves with the uploaded z.proto.Asset
+   */
+  resume(nonce, on_progress) {
+    if (this.active_uploads[nonce]) {
+      return this.active_uploads[nonce].promise;
+    }
+
+    return this.storage_service.load(this.storage_service.OBJECT_STORE_UPLOADS, nonce)
+    .then((record) => {
+      if (!record) {
+        throw new z.assets.AssetError(z.assets.AssetError.TYPE.NO_UPLOAD);
+      }
+
+      return this.asset_service.head_resumable_asset_v3(record.key)
+      .then((offset) => {
+        this.logger.info(`Resuming upload for message '${nonce}' at '${offset}' of '${record.size}' bytes`);
+        record.offset = offset;
+        record.paused = false;
+        return this.storage_service.update(this.storage_service.OBJECT_STORE_UPLOADS, nonce, {offset: offset, paused: false});
+      })
+      .then(() => this._start_upload(record, on_progress));
+    });
+  }
+
+  /**
+   * Encrypt a file and upload it in chunks.
+   *
+   * @param {string} conversation_id - ID of the conversation the asset is sent to
+   * @param {string} nonce - Nonce of the message the asset belongs to
+   * @param {Blob|File} file - File to be uploaded
+   * @param {Object} options - Asset upload options
+   * @param {boolean} options.public - Flag whether asset is public
+   * @param {z.assets.AssetRetentionPolicy} options.retention - Retention duration policy for asset
+   * @param {Function} on_progress - Called with the upload progress in percent
+   * @returns {Promise} Resolves with the uploaded z.proto.Asset
+   */
+  upload(conversation_id, nonce, file, options, on_progress) {
+    return z.util.load_file_buffer(file)
+    .then((buffer) => z.assets.AssetCrypto.encrypt_aes_asset(buffer))
+    .then(([key_bytes, sha256, ciphertext]) => {
+      return this.asset_service.post_resumable_asset_v3(ciphertext.byteLength, options)
+      .then(({chunk_size, key, token}) => {
+        const record = {
+          chunk_size: chunk_size || ASSET_UPLOADER_CONFIG.CHUNK_SIZE,
+          ciphertext: new Blob([ciphertext]),
+          conversation_id: conversation_id,
+          key: key,
+          nonce: nonce,
+          offset: 0,
+          otr_key: key_bytes,
+          paused: false,
+          sha256: sha256,
+          size: ciphertext.byteLength,
+          time: Date.now(),
+          token: token,
+        };
+
+        return this.storage_service.save(this.storage_service.OBJECT_STORE_UPLOADS, nonce, record)
+        .then(() => this._start_upload(record, on_progress));
+      });
+    });
+  }
+
+  /**
+   * Calculate the progress of an upload.
+   *
+   * @private
+   * @param {Object} record - Stored upload
+   * @param {number} uploaded_bytes - Number of bytes received by the backend
+   * @returns {number} Progress in percent
+   */
+  _get_progress(record, uploaded_bytes) {
+    return Math.round((uploaded_bytes / record.size) * 100);
+  }
+
+  /**
+   * Track an upload while its chunks are sent.
+   * @note The stored upload is removed once it completed or failed for good, only interrupted or paused uploads are kept.
+   *
+   * @private
+   * @param {Object} record - Stored upload
+   * @param {Function} on_progress - Called with the upload progress in percent
+   * @returns {Promise} Resolves with the uploaded z.proto.Asset
+   */
+  _start_upload(record, on_progress = () => {}) {
+    const upload = {cancelled: false, paused: false, xhr: undefined};
+    this.active_uploads[record.nonce] = upload;
+    on_progress(this._get_progress(record, record.offset));
+
+    upload.promise = this._upload_chunks(record, upload, on_progress)
+    .then((asset) => {
+      delete this.active_uploads[record.nonce];
+      return asset;
+    })
+    .catch((error) => {
+      if (this.active_uploads[record.nonce] === upload) {
+        delete this.active_uploads[record.nonce];
+      }
+
+      if (upload.paused) {
+        throw new z.assets.AssetError(z.assets.AssetError.TYPE.UPLOAD_PAUSED);
+      }
+
+      if (error.type === z.assets.AssetError.TYPE.UPLOAD_INTERRUPTED) {
+        throw error;
+      }
+
+      return this.storage_service.delete(this.storage_service.OBJECT_STORE_UPLOADS, record.nonce)
+      .then(() => {
+        throw error;
+      });
+    });
+
+    return upload.promise;
+  }
+
+  /**
+   * Send the remaining chunks of an upload one after another.
+   *
+   * @private
+   * @param {Object} record - Stored upload
+   * @param {Object} upload - State of the active upload
+   * @param {Function} on_progress - Called with the upload progress in percent
+   * @returns {Promise} Resolves with the uploaded z.proto.Asset
+   */
+  _upload_chunks(record, upload, on_progress) {
+    if (upload.cancelled) {
+      return Promise.reject(new z.assets.AssetError(z.assets.AssetError.TYPE.UPLOAD_CANCELLED));
+    }
+
+    if (upload.paused) {
+      return Promise.reject(new z.assets.AssetError(z.assets.AssetError.TYPE.UPLOAD_PAUSED));
+    }
+
+    if (record.offset >= record.size) {
+      return this.storage_service.delete(this.storage_service.OBJECT_STORE_UPLOADS, record.nonce)
+      .then(() => {
+        const asset = new z.proto.Asset();
+        asset.set('uploaded', new z.proto.Asset.RemoteData(record.otr_key, record.sha256, record.key, record.token));
+        return asset;
+      });
+    }
+
+    const chunk = record.ciphertext.slice(record.offset, record.offset + record.chunk_size);
+
+    return this.asset_service.patch_resumable_asset_v3(record.key, record.offset, chunk, (xhr) => {
+      upload.xhr = xhr;
+      xhr.upload.onprogress = (event) => on_progress(this._get_progress(record, record.offset + event.loaded));
+    })
+    .then((offset) => {
+      record.offset = window.isNaN(offset) ? record.offset + chunk.size : offset;
+      if (upload.cancelled) {
+        return undefined;
+      }
+      return this.storage_service.update(this.storage_service.OBJECT_STORE_UPLOADS, record.nonce, {offset: record.offset});
+    })
+    .then(() => this._upload_chunks(record, upload, on_progress));
+  }
+};
@@ -0,0 +1,64 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.backup = z.backup || {};
+
+z.backup.BackupError = class BackupError extends Error {
+  constructor(type, message) {
+    super();
+
+    this.name = this.constructor.name;
+    this.stack = (new Error()).stack;
+    this.type = type || z.backup.BackupError.TYPE.UNKNOWN;
+
+    if (message) {
+      this.message = message;
+    } else {
+      switch (this.type) {
+        case z.backup.BackupError.TYPE.INVALID_FORMAT:
+          this.message = 'File is not a history backup';
+          break;
+        case z.backup.BackupError.TYPE.UNSUPPORTED_VERSION:
+          this.message = 'History backup was created by a newer version';
+          break;
+        case z.backup.BackupError.TYPE.WRONG_PASSPHRASE:
+          this.message = 'Passphrase does not match the history backup';
+          break;
+        case z.backup.BackupError.TYPE.WRONG_USER:
+          this.message = 'History backup belongs to a different user';
+          break;
+        default:
+          this.message = 'Unknown BackupError';
+      }
+    }
+  }
+
+  static get TYPE() {
+    return {
+      INVALID_FORMAT: 'z.backup.BackupError.TYPE.INVALID_FORMAT',
+      UNKNOWN: 'z.backup.BackupError.TYPE.UNKNOWN',
+      UNSUPPORTED_VERSION: 'z.backup.BackupError.TYPE.UNSUPPORTED_VERSION',
+      WRONG_PASSPHRASE: 'z.backup.BackupError.TYPE.WRONG_PASSPHRASE',
+      WRONG_USER: 'z.backup.BackupError.TYPE.WRONG_USER',
+    };
+  }
+};
@@ -0,0 +1,297 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.backup = z.backup || {};
+
+const BACKUP_CONFIG = {
+  BINARY_KEY: '$binary',
+  FILE_EXTENSION: 'wbu',
+  FORMAT: 'wire-history-backup',
+  HEADER_LENGTH_BYTES: 4,
+  IMPORT_BATCH_SIZE: 500,
+  IV_LENGTH: 12,
+  PBKDF2_ITERATIONS: 100000,
+  SALT_LENGTH: 16,
+  VERSION: 1,
+};
+
+z.backup.BackupRepository = class BackupRepository {
+  /**
+   * Construct a new backup repository.
+   * @note An archive consists of the length of its header, a JSON header with the format version and key derivation
+   *   parameters and the AES-GCM encrypted, deflated history. The header is authenticated as additional data.
+   *
+   * @param {z.backup.BackupService} backup_service - Service for all history backup interactions with the local database
+   * @param {z.client.ClientRepository} client_repository - Repository for all client interactions
+   * @param {z.user.UserRepository} user_repository - Repository for all user and connection interactions
+   * @returns {BackupRepository} Repository for history backups
+   */
+  constructor(backup_service, client_repository, user_repository) {
+    this.backup_service = backup_service;
+    this.client_repository = client_repository;
+    this.user_repository = user_repository;
+    this.logger = new z.util.Logger('z.backup.BackupRepository', z.config.LOGGER.OPTIONS);
+    return this;
+  }
+
+  /**
+   * Export conversations and their events into a passphrase encrypted archive.
+   *
+   * @param {string} passphrase - Passphrase to encrypt the archive with
+   * @param {Function} [on_progress] - Called with the progress between 0 and 1
+   * @returns {Promise} Resolves with the archive as Blob
+   */
+  create_backup(passphrase, on_progress = () => {}) {
+    const salt = z.util.Crypto.Encryption.get_random_bytes(BACKUP_CONFIG.SALT_LENGTH);
+    const iv = z.util.Crypto.Encryption.get_random_bytes(BACKUP_CONFIG.IV_LENGTH);
+    const header = {
+      cipher: {
+        iv: z.util.array_to_base64(iv),
+        name: 'AES-GCM',
+      },
+      created: new Date().toISOString(),
+      format: BACKUP_CONFIG.FORMAT,
+      kdf: {
+        hash: 'SHA-256',
+        iterations: BACKUP_CONFIG.PBKDF2_ITERATIONS,
+        name: 'PBKDF2',
+        salt: z.util.array_to_base64(salt),
+      },
+      version: BACKUP_CONFIG.VERSION,
+    };
+    const header_bytes = new TextEncoder('utf-8').encode(JSON.stringify(header));
+    let number_of_events = 0;
+
+    on_progress(0);
+    return this.backup_service.get_history()
+    .then(({conversations, events}) => {
+      on_progress(0.4);
+      number_of_events = events.length;
+
+      const payload = {conversations, events, metadata: this._get_metadata()};
+      const plaintext = pako.deflate(z.backup.BackupRepository.serialize_payload(payload));
+      on_progress(0.6);
+
+      return z.util.Crypto.Encryption.derive_key(passphrase, salt, BACKUP_CONFIG.PBKDF2_ITERATIONS)
+      .then((key) => z.util.Crypto.Encryption.encrypt(key, plaintext, iv, header_bytes));
+    })
+    .then((cipher_text) => {
+      const header_length = new DataView(new ArrayBuffer(BACKUP_CONFIG.HEADER_LENGTH_BYTES));
+      header_length.setUint32(0, header_bytes.length);
+
+      this.logger.info(`Created history backup with '${number_of_events}' events`);
+      on_progress(1);
+      return new Blob([header_length.buffer, header_bytes, cipher_text], {type: 'application/octet-stream'});
+    });
+  }
+
+  /**
+   * Get the name under which a history backup should be saved.
+   * @returns {string} Filename of the backup
+   */
+  get_backup_filename() {
+    const self_user_et = this.user_repository.self();
+    const name = self_user_et.username() || self_user_et.name();
+    return `Wire-${name}-Backup_${moment().format('YYYY-MM-DD')}.${BACKUP_CONFIG.FILE_EXTENSION}`;
+  }
+
+  /**
+   * Import a passphrase encrypted archive into the local database.
+   * @note Conversations and events that already exist locally are skipped.
+   *
+   * @param {Blob} file - Archive created by a history backup
+   * @param {string} passphrase - Passphrase the archive was encrypted with
+   * @param {Function} [on_progress] - Called with the progress between 0 and 1
+   * @returns {Promise} Resolves with the number of imported conversations and events
+   */
+  restore_backup(file, passphrase, on_progress = () => {}) {
+    const result = {conversations: 0, events: 0};
+
+    on_progress(0);
+    return z.util.load_file_buffer(file)
+    .then((buffer) => this._decrypt_archive(buffer, passphrase))
+    .then((payload) => {
+      const self_user_id = this.user_repository.self().id;
+      if (payload.metadata.user_id !== self_user_id) {
+        throw new z.backup.BackupError(z.backup.BackupError.TYPE.WRONG_USER);
+      }
+
+      on_progress(0.2);
+      return this.backup_service.import_conversations(payload.conversations)
+      .then((number_of_conversations) => {
+        result.conversations = number_of_conversations;
+        return this._import_events(payload.events, (progress) => on_progress(0.2 + (progress * 0.8)));
+      });
+    })
+    .then((number_of_events) => {
+      result.events = number_of_events;
+      this.logger.info(`Restored '${result.conversations}' conversations and '${result.events}' events from history backup`);
+      on_progress(1);
+      return result;
+    });
+  }
+
+  /**
+   * Decrypt and parse an archive.
+   *
+   * @private
+   * @param {ArrayBuffer} buffer - Content of the archive file
+   * @param {string} passphrase - Passphrase the archive was encrypted with
+   * @returns {Promise} Resolves with the payload of the archive in the current format version
+   */
+  _decrypt_archive(buffer, passphrase) {
+    return Promise.resolve()
+    .then(() => {
+      const {cipher_text, header, header_bytes} = z.backup.BackupRepository.read_archive(buffer);
+
+      if (header.version > BACKUP_CONFIG.VERSION) {
+        throw new z.backup.BackupError(z.backup.BackupError.TYPE.UNSUPPORTED_VERSION);
+      }
+
+      const iv = z.util.base64_to_array(header.cipher.iv);
+      const salt = z.util.base64_to_array(header.kdf.salt);
+
+      return z.util.Crypto.Encryption.derive_key(passphrase, salt, header.kdf.iterations)
+      .then((key) => z.util.Crypto.Encryption.decrypt(key, cipher_text, iv, header_bytes))
+      .catch((error) => {
+        this.logger.warn(`Failed to decrypt history backup: ${error.message}`, error);
+        throw new z.backup.BackupError(z.backup.BackupError.TYPE.WRONG_PASSPHRASE);
+      })
+      .then((plaintext) => {
+        const payload = z.backup.BackupRepository.deserialize_payload(pako.inflate(new Uint8Array(plaintext), {to: 'string'}));
+        return z.backup.BackupRepository.migrate_payload(payload, header.version);
+      });
+    });
+  }
+
+  /**
+   * Get information about the user and client creating the backup.
+   * @private
+   * @returns {Object} Backup metadata
+   */
+  _get_metadata() {
+    const self_user_et = this.user_repository.self();
+
+    return {
+      client_id: this.client_repository.current_client().id,
+      created: new Date().toISOString(),
+      name: self_user_et.name(),
+      user_id: self_user_et.id,
+      username: self_user_et.username(),
+    };
+  }
+
+  /**
+   * Import events in batches.
+   *
+   * @private
+   * @param {Array<Object>} events - Event records from a backup
+   * @param {Function} on_progress - Called with the progress between 0 and 1
+   * @returns {Promise} Resolves with the number of imported events
+   */
+  _import_events(events, on_progress) {
+    const batches = [];
+    for (let index = 0; index < events.length; index += BACKUP_CONFIG.IMPORT_BATCH_SIZE) {
+      batches.push(events.slice(index, index + BACKUP_CONFIG.IMPORT_BATCH_SIZE));
+    }
+
+    let number_of_imported_events = 0;
+    return batches.reduce((promise, batch, index) => {
+      return promise
+      .then(() => this.backup_service.import_events(batch))
+      .then((number_of_new_events) => {
+        number_of_imported_events += number_of_new_events;
+        on_progress((index + 1) / batches.length);
+      });
+    }, Promise.resolve())
+    .then(() => number_of_imported_events);
+  }
+
+  /**
+   * Parse a serialized payload and restore binary data.
+   * @param {string} json - Serialized payload
+   * @returns {Object} Payload
+   */
+  static deserialize_payload(json) {
+    return JSON.parse(json, (key, value) => {
+      if (value && _.isString(value[BACKUP_CONFIG.BINARY_KEY])) {
+        return z.util.base64_to_array(value[BACKUP_CONFIG.BINARY_KEY]);
+      }
+      return value;
+    });
+  }
+
+  /**
+   * Upgrade the payload of an archive created by an older version to the current format.
+   *
+   * @param {Object} payload - Payload of the archive
+   * @param {number} version - Format version of the archive
+   * @returns {Object} Payload in the current format
+   */
+  static migrate_payload(payload, version) {
+    if (version < 1 || !payload.metadata || !_.isArray(payload.conversations) || !_.isArray(payload.events)) {
+      throw new z.backup.BackupError(z.backup.BackupError.TYPE.INVALID_FORMAT);
+    }
+
+    return payload;
+  }
+
+  /**
+   * Split an archive into its header and cipher text.
+   * @param {ArrayBuffer} buffer - Content of the archive file
+   * @returns {Object} Parsed header, its raw bytes and the cipher text
+   */
+  static read_archive(buffer) {
+    let header;
+    let header_bytes;
+    let header_end;
+
+    try {
+      const header_length = new DataView(buffer).getUint32(0);
+      header_end = BACKUP_CONFIG.HEADER_LENGTH_BYTES + header_length;
+      header_bytes = new Uint8Array(buffer, BACKUP_CONFIG.HEADER_LENGTH_BYTES, header_length);
+      header = JSON.parse(new TextDecoder('utf-8').decode(header_bytes));
+    } catch (error) {
+      throw new z.backup.BackupError(z.backup.BackupError.TYPE.INVALID_FORMAT, `Failed to read header of history backup: ${error.message}`);
+    }
+
+    if (!header || header.format !== BACKUP_CONFIG.FORMAT || !_.isNumber(header.version)) {
+      throw new z.backup.BackupError(z.backup.BackupError.TYPE.INVALID_FORMAT);
+    }
+
+    return {cipher_text: new Uint8Array(buffer, header_end), header, header_bytes};
+  }
+
+  /**
+   * Serialize a payload while preserving binary data.
+   * @param {Object} payload - Payload
+   * @returns {string} Serialized payload
+   */
+  static serialize_payload(payload) {
+    return JSON.stringify(payload, (key, value) => {
+      if (value instanceof ArrayBuffer || value instanceof Uint8Array) {
+        return {[BACKUP_CONFIG.BINARY_KEY]: z.util.array_to_base64(value)};
+      }
+      return value;
+    });
+  }
+};
@@ -0,0 +1,140 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.backup = z.backup || {};
+
+z.backup.BackupService = class BackupService {
+  /**
+   * Construct a new backup service.
+   * @param {z.storage.StorageService} storage_service - Service for all storage interactions
+   * @returns {BackupService} Service for all history backup interactions with the local database
+   */
+  constructor(storage_service) {
+    this.storage_service = storage_service;
+    this.logger = new z.util.Logger('z.backup.BackupService', z.config.LOGGER.OPTIONS);
+    return this;
+  }
+
+  /**
+   * Load all conversations and their events from the local database.
+   * @note Events are read from the events store which superseded the conversation_events store in database version 13.
+   * @returns {Promise} Resolves with the conversation records and event records
+   */
+  get_history() {
+    return Promise.all([
+      this.storage_service.get_all(this.storage_service.OBJECT_STORE_CONVERSATIONS),
+      this.storage_service.get_all(this.storage_service.OBJECT_STORE_EVENTS),
+    ])
+    .then(([conversations, events]) => ({conversations, events}));
+  }
+
+  /**
+   * Add conversations that are not yet known locally.
+   * @note Existing conversations are kept as their local state is more recent than the backup.
+   *
+   * @param {Array<Object>} conversations - Conversation records from a backup
+   * @returns {Promise} Resolves with the number of added conversations
+   */
+  import_conversations(conversations) {
+    const store = this.storage_service.db[this.storage_service.OBJECT_STORE_CONVERSATIONS];
+
+    return store.toCollection().keys()
+    .then((conversation_ids) => {
+      const new_conversations = conversations.filter(({id}) => id && !conversation_ids.includes(id));
+      if (!new_conversations.length) {
+        return 0;
+      }
+
+      const primary_keys = new_conversations.map(({id}) => id);
+      return store.bulkPut(new_conversations, primary_keys)
+      .then(() => new_conversations.length);
+    });
+  }
+
+  /**
+   * Add events that are not yet stored locally.
+   * @note Events are matched by conversation, time, ID and type as events created locally get a new primary key.
+   *
+   * @param {Array<Object>} events - Event records from a backup
+   * @returns {Promise} Resolves with the number of added events
+   */
+  import_events(events) {
+    const store = this.storage_service.db[this.storage_service.OBJECT_STORE_EVENTS];
+    const valid_events = events.filter(({conversation, time}) => conversation && time);
+
+    if (!valid_events.length) {
+      return Promise.resolve(0);
+    }
+
+    return this._load_matching_events(valid_events)
+    .then((existing_events) => {
+      const known_events = new Set(existing_events.map((event) => z.backup.BackupService.get_event_key(event)));
+
+      const new_events = valid_events.filter((event) => {
+        const event_key = z.backup.BackupService.get_event_key(event);
+        if (known_events.has(event_key)) {
+          return false;
+        }
+
+        known_events.add(event_key);
+        return true;
+      })
+      .map((event) => {
+        const record = Object.assign({}, event);
+        delete record.primary_key;
+        return record;
+      });
+
+      if (!new_events.length) {
+        return 0;
+      }
+
+      return store.bulkAdd(new_events)
+      .then(() => new_events.length);
+    });
+  }
+
+  /**
+   * Load stored events that share conversation and time with the given events.
+   *
+   * @private
+   * @param {Array<Object>} events - Event records from a backup
+   * @returns {Promise} Resolves with the matching event records
+   */
+  _load_matching_events(events) {
+    const compound_keys = events.map(({conversation, time}) => [conversation, time]);
+
+    return this.storage_service.db[this.storage_service.OBJECT_STORE_EVENTS]
+    .where('[conversation+time]')
+    .anyOf(compound_keys)
+    .toArray();
+  }
+
+  /**
+   * Identify an event independent of its local primary key.
+   * @param {Object} event - Event record
+   * @returns {string} Key identifying the event
+   */
+  static get_event_key({conversation, id, time, type}) {
+    return [conversation, time, id, type].join('@');
+  }
+};
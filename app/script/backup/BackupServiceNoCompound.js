@@ -0,0 +1,45 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.backup = z.backup || {};
+
+// TODO: This class can be removed once Microsoft Edge's IndexedDB supports compound indices:
+// - https://developer.microsoft.com/en-us/microsoft-edge/platform/status/indexeddbarraysandmultientrysupport/
+z.backup.BackupServiceNoCompound = class BackupServiceNoCompound extends z.backup.BackupService {
+  /**
+   * Load stored events that share conversation and time with the given events.
+   *
+   * @private
+   * @param {Array<Object>} events - Event records from a backup
+   * @returns {Promise} Resolves with the matching event records
+   */
+  _load_matching_events(events) {
+    const conversation_ids = Array.from(new Set(events.map(({conversation}) => conversation)));
+    const event_times = new Set(events.map(({time}) => time));
+
+    return this.storage_service.db[this.storage_service.OBJECT_STORE_EVENTS]
+    .where('conversation')
+    .anyOf(conversation_ids)
+    .toArray()
+    .then((records) => records.filter(({time}) => event_times.has(time)));
+  }
+};
@@ -0,0 +1,317 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.cryptography = z.cryptography || {};
+
+const CRYPTOBOX_WORKER_CONFIG = {
+  INIT_TIMEOUT: 30 * 1000, // 30 seconds
+  URI: 'worker/cryptobox-worker.js',
+};
+
+z.cryptography.CryptoboxWorker = class CryptoboxWorker {
+  /**
+   * Construct a proxy for a Cryptobox running in a Web Worker.
+   * @note Offers the promise-based surface of Cryptobox used by the webapp. The worker owns all sessions and writes them to
+   *   the shared IndexedDB. All session changes go through the worker, which is replaced when the stores are cleared.
+   *
+   * @param {string} db_name - Name of the database with the Cryptobox stores
+   * @param {number} minimum_pre_keys - Number of PreKeys Cryptobox keeps available
+   */
+  constructor(db_name, minimum_pre_keys) {
+    this.db_name = db_name;
+    this.minimum_pre_keys = minimum_pre_keys;
+    this.logger = new z.util.Logger('z.cryptography.CryptoboxWorker', z.config.LOGGER.OPTIONS);
+
+    this.identity = undefined;
+    this.listeners = {};
+    this.message_id = 0;
+    this.pending_requests = {};
+    this.queued_topics = [];
+
+    this.worker = new window.Worker(CRYPTOBOX_WORKER_CONFIG.URI);
+    this.worker.onmessage = (event) => this._on_message(event.data);
+    this.worker.onerror = (error) => this._on_error(error);
+  }
+
+  /**
+   * Load or create the local identity in the worker.
+   * @note Debugging helpers like breaking sessions are only enabled in the worker outside of production.
+   * @returns {Promise} Resolves when Cryptobox has been initialized
+   */
+  init() {
+    const init_timeout = new Promise((resolve, reject) => {
+      window.setTimeout(() => reject(new Error('Cryptobox worker did not initialize in time')), CRYPTOBOX_WORKER_CONFIG.INIT_TIMEOUT);
+    });
+
+    const is_debug_enabled = !z.util.Environment.frontend.is_production();
+    return Promise.race([this._post('init', this.db_name, this.minimum_pre_keys, is_debug_enabled), init_timeout])
+    .then((serialized_public_key) => {
+      this.identity = {public_key: Proteus.keys.IdentityKey.deserialise(serialized_public_key)};
+      this.queued_topics.forEach((message) => this._publish(message));
+      this.queued_topics = [];
+      return this;
+    });
+  }
+
+  /**
+   * Subscribe to a Cryptobox topic.
+   *
+   * @param {string} topic - Topic from cryptobox.Cryptobox.TOPIC
+   * @param {Function} listener - Called with the data of the topic
+   * @returns {undefined} No return value
+   */
+  on(topic, listener) {
+    this.listeners[topic] = this.listeners[topic] || [];
+    this.listeners[topic].push(listener);
+  }
+
+  /**
+   * Corrupt a session for debugging.
+   * @note Only available outside of production. The worker rejects the request otherwise.
+   *
+   * @param {string} session_id - ID of the session to break
+   * @returns {Promise} Resolves with the ID of the broken session
+   */
+  break_session(session_id) {
+    return this._post('break_session', session_id);
+  }
+
+  /**
+   * Decrypt a message in the worker.
+   *
+   * @param {string} session_id - ID of the session with the sender
+   * @param {ArrayBuffer} cipher_text - Encrypted message
+   * @returns {Promise} Resolves with the decrypted message as Uint8Array
+   */
+  decrypt(session_id, cipher_text) {
+    return this._post('decrypt', session_id, cipher_text);
+  }
+
+  /**
+   * Encrypt a message in the worker.
+   *
+   * @param {string} session_id - ID of the session with the recipient
+   * @param {string|Uint8Array} plaintext - Message to be encrypted
+   * @returns {Promise} Resolves with the encrypted message as ArrayBuffer
+   */
+  encrypt(session_id, plaintext) {
+    return this._post('encrypt', session_id, plaintext);
+  }
+
+  /**
+   * Get the last resort PreKey of the local identity.
+   * @returns {Promise} Resolves with the serialized last resort PreKey bundle
+   */
+  get_serialized_last_resort_prekey() {
+    return this._post('get_serialized_last_resort_prekey');
+  }
+
+  /**
+   * Get the standard PreKeys of the local identity.
+   * @returns {Promise} Resolves with the serialized standard PreKey bundles
+   */
+  get_serialized_standard_prekeys() {
+    return this._post('get_serialized_standard_prekeys');
+  }
+
+  /**
+   * Serialize a PreKey as bundle with the local identity.
+   * @param {Proteus.keys.PreKey} pre_key - PreKey to be serialized
+   * @returns {Object} Serialized PreKey bundle
+   */
+  serialize_prekey(pre_key) {
+    return Proteus.keys.PreKeyBundle.new(this.identity.public_key, pre_key).serialised_json();
+  }
+
+  /**
+   * Delete a session in the worker.
+   *
+   * @param {string} session_id - ID of the session to delete
+   * @returns {Promise} Resolves with the ID of the deleted session
+   */
+  session_delete(session_id) {
+    return this._post('session_delete', session_id);
+  }
+
+  /**
+   * Create a session from a remote PreKey bundle.
+   *
+   * @param {string} session_id - ID of the session to create
+   * @param {ArrayBuffer} pre_key_bundle - Serialized PreKey bundle of the remote client
+   * @returns {Promise} Resolves with the created session exposing its ID and remote fingerprint
+   */
+  session_from_prekey(session_id, pre_key_bundle) {
+    return this._post('session_from_prekey', session_id, pre_key_bundle)
+    .then((session) => z.cryptography.CryptoboxWorker.create_session(session));
+  }
+
+  /**
+   * Load a session from the worker.
+   *
+   * @param {string} session_id - ID of the session to load
+   * @returns {Promise} Resolves with the loaded session exposing its ID and remote fingerprint
+   */
+  session_load(session_id) {
+    return this._post('session_load', session_id)
+    .then((session) => z.cryptography.CryptoboxWorker.create_session(session));
+  }
+
+  /**
+   * Stop the worker and reject all pending requests.
+   * @returns {undefined} No return value
+   */
+  terminate() {
+    this.worker.terminate();
+    this._reject_pending_requests('Cryptobox worker was terminated');
+  }
+
+  /**
+   * Reject all pending requests if the worker fails.
+   *
+   * @private
+   * @param {ErrorEvent} error - Error raised by the worker
+   * @returns {undefined} No return value
+   */
+  _on_error(error) {
+    this.logger.error(`Cryptobox worker failed: ${error.message}`, error);
+    this._reject_pending_requests(error.message);
+  }
+
+  /**
+   * Handle a response or a published topic from the worker.
+   *
+   * @private
+   * @param {Object} message - Message from the worker
+   * @returns {undefined} No return value
+   */
+  _on_message(message) {
+    const {error, id, result, topic} = message;
+
+    if (topic) {
+      // Topics published during initialization may depend on the local identity
+      if (!this.identity) {
+        return this.queued_topics.push(message);
+      }
+      return this._publish(message);
+    }
+
+    const pending_request = this.pending_requests[id];
+    if (pending_request) {
+      delete this.pending_requests[id];
+
+      if (error) {
+        return pending_request.reject(z.cryptography.CryptoboxWorker.deserialize_error(error));
+      }
+      pending_request.resolve(result);
+    }
+  }
+
+  /**
+   * Reject all requests that are waiting for a response from the worker.
+   *
+   * @private
+   * @param {string} reason - Reason for the rejection
+   * @returns {undefined} No return value
+   */
+  _reject_pending_requests(reason) {
+    Object.keys(this.pending_requests).forEach((message_id) => {
+      this.pending_requests[message_id].reject(new Error(reason));
+      delete this.pending_requests[message_id];
+    });
+  }
+
+  /**
+   * Notify the listeners of a topic published by the worker.
+   *
+   * @private
+   * @param {Object} message - Message from the worker
+   * @returns {undefined} No return value
+   */
+  _publish({data, topic}) {
+    const topic_data = topic === cryptobox.Cryptobox.TOPIC.NEW_PREKEYS ? data.map((pre_key) => Proteus.keys.PreKey.deserialise(pre_key)) : data;
+    (this.listeners[topic] || []).forEach((listener) => listener(topic_data));
+  }
+
+  /**
+   * Call a Cryptobox method in the worker.
+   *
+   * @private
+   * @param {string} method - Name of the method
+   * @param {...*} args - Arguments of the method
+   * @returns {Promise} Resolves with the result of the method
+   */
+  _post(method, ...args) {
+    return new Promise((resolve, reject) => {
+      const id = this.message_id++;
+      this.pending_requests[id] = {reject, resolve};
+      this.worker.postMessage({args, id, method});
+    });
+  }
+
+  /**
+   * Create a session object matching the surface of cryptobox.CryptoboxSession.
+   * @param {Object} session - Session description from the worker
+   * @returns {Object} Session with ID and remote fingerprint
+   */
+  static create_session({fingerprint_remote, id}) {
+    return {
+      fingerprint_remote: () => fingerprint_remote,
+      id: id,
+    };
+  }
+
+  /**
+   * Restore an error raised in the worker so that it can be identified by its type.
+   * @param {Object} error - Serialized error
+   * @returns {Error} Restored error
+   */
+  static deserialize_error({category, code, message, name}) {
+    let ErrorType = Error;
+
+    switch (category) {
+      case 'DecodeError':
+        ErrorType = Proteus.errors.DecodeError[name] || Proteus.errors.DecodeError;
+        break;
+      case 'DecryptError':
+        ErrorType = Proteus.errors.DecryptError[name] || Proteus.errors.DecryptError;
+        break;
+      case 'RecordNotFoundError':
+        ErrorType = cryptobox.store.RecordNotFoundError;
+        break;
+      default:
+        ErrorType = Error;
+    }
+
+    const error = new ErrorType(message, code);
+    error.code = code;
+    error.message = message;
+    return error;
+  }
+
+  /**
+   * Check whether Cryptobox can run in a Web Worker.
+   * @returns {boolean} Web Workers are supported
+   */
+  static is_supported() {
+    return !!window.Worker;
+  }
+};
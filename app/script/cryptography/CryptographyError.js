@@ -43,6 +43,9 @@ z.cryptography.CryptographyError = class CryptographyError extends Error {
         case z.cryptography.CryptographyError.TYPE.IGNORED_PREVIEW:
           this.message = 'Ignored image preview';
           break;
+        case z.cryptography.CryptographyError.TYPE.INVALID_FINGERPRINT_CODE:
+          this.message = 'Code does not contain a device fingerprint';
+          break;
         case z.cryptography.CryptographyError.TYPE.NO_DATA_CONTENT:
           this.message = 'No message data content found';
           break;
@@ -66,6 +69,7 @@ z.cryptography.CryptographyError = class CryptographyError extends Error {
       BROKEN_EXTERNAL: 'z.cryptography.CryptographyError.TYPE.BROKEN_EXTERNAL',
       IGNORED_ASSET: 'z.cryptography.CryptographyError.TYPE.IGNORED_ASSET',
       IGNORED_PREVIEW: 'z.cryptography.CryptographyError.TYPE.IGNORED_PREVIEW',
+      INVALID_FINGERPRINT_CODE: 'z.cryptography.CryptographyError.TYPE.INVALID_FINGERPRINT_CODE',
       NO_DATA_CONTENT: 'z.cryptography.CryptographyError.TYPE.NO_DATA_CONTENT',
       NO_GENERIC_MESSAGE: 'z.cryptography.CryptographyError.TYPE.NO_GENERIC_MESSAGE',
       PREVIOUSLY_STORED: 'z.cryptography.CryptographyError.TYPE.PREVIOUSLY_STORED',
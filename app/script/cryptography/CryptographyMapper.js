@@ -34,6 +34,7 @@ z.cryptography.CryptographyMapper = class CryptographyMapper {
 
   /**
    * Maps a generic message into an event in JSON.
+   * @note Messages of content types unknown to this version are mapped to placeholders that keep the raw payload.
    *
    * @param {z.proto.GenericMessage} generic_message - Received ProtoBuffer message
    * @param {JSON} event - Event of z.event.Backend.CONVERSATION.OTR-ASSET-ADD or z.event.Backend.CONVERSATION.OTR-MESSAGE-ADD
@@ -43,7 +44,7 @@ z.cryptography.CryptographyMapper = class CryptographyMapper {
     return Promise.resolve()
     .then(() => {
       if (generic_message) {
-        return this._map_generic_message(generic_message, event);
+        return this._map_generic_message(generic_message, event, generic_message.raw_payload);
       }
       throw new z.cryptography.CryptographyError(z.cryptography.CryptographyError.TYPE.NO_GENERIC_MESSAGE);
     })
@@ -61,7 +62,7 @@ z.cryptography.CryptographyMapper = class CryptographyMapper {
     });
   }
 
-  _map_generic_message(generic_message, event) {
+  _map_generic_message(generic_message, event, raw_payload) {
     switch (generic_message.content) {
       case 'asset':
         return this._map_asset(generic_message.asset, generic_message.message_id, event.data !== null ? event.data.id : undefined);
@@ -69,6 +70,9 @@ z.cryptography.CryptographyMapper = class CryptographyMapper {
         return this._map_calling(generic_message.calling, event.data);
       case 'cleared':
         return this._map_cleared(generic_message.cleared);
+      case 'clientAction':
+        this.logger.debug(`Skipped event '${generic_message.message_id}' of unhandled type '${generic_message.content}'`, {event, generic_message});
+        throw new z.cryptography.CryptographyError(z.cryptography.CryptographyError.TYPE.UNHANDLED_TYPE);
       case 'confirmation':
         return this._map_confirmation(generic_message.confirmation);
       case 'deleted':
@@ -76,7 +80,7 @@ z.cryptography.CryptographyMapper = class CryptographyMapper {
       case 'edited':
         return this._map_edited(generic_message.edited, generic_message.message_id);
       case 'ephemeral':
-        return this._map_ephemeral(generic_message, event);
+        return this._map_ephemeral(generic_message, event, raw_payload);
       case 'external':
         return this._map_external(generic_message.external, event);
       case 'hidden':
@@ -94,6 +98,9 @@ z.cryptography.CryptographyMapper = class CryptographyMapper {
       case 'text':
         return this._map_text(generic_message.text, generic_message.message_id);
       default:
+        if (raw_payload) {
+          return this._map_unsupported(generic_message, event, raw_payload);
+        }
         this.logger.debug(`Skipped event '${generic_message.message_id}' of unhandled type '${generic_message.content}'`, {event, generic_message});
         throw new z.cryptography.CryptographyError(z.cryptography.CryptographyError.TYPE.UNHANDLED_TYPE);
     }
@@ -155,6 +162,14 @@ z.cryptography.CryptographyMapper = class CryptographyMapper {
         loudness: new Uint8Array(original.audio.normalized_loudness !== null ? original.audio.normalized_loudness.toArrayBuffer() : []),
       };
     }
+
+    if (original.video) {
+      return {
+        duration: original.video.duration_in_millis !== null ? original.video.duration_in_millis.toNumber() / 1000 : undefined,
+        height: original.video.height,
+        width: original.video.width,
+      };
+    }
   }
 
   _map_asset_not_uploaded(not_uploaded) {
@@ -251,10 +266,10 @@ z.cryptography.CryptographyMapper = class CryptographyMapper {
     return mapped;
   }
 
-  _map_ephemeral(generic_message, event) {
+  _map_ephemeral(generic_message, event, raw_payload) {
     const millis_as_number = generic_message.ephemeral.expire_after_millis.toNumber();
     generic_message.ephemeral.message_id = generic_message.message_id;
-    const embedded_message = this._map_generic_message(generic_message.ephemeral, event);
+    const embedded_message = this._map_generic_message(generic_message.ephemeral, event, raw_payload);
     embedded_message.ephemeral_expires = z.ephemeral.timings.map_to_closest_timing(millis_as_number);
     return embedded_message;
   }
@@ -275,10 +290,10 @@ z.cryptography.CryptographyMapper = class CryptographyMapper {
     };
 
     return z.assets.AssetCrypto.decrypt_aes_asset(data.text.buffer, data.otr_key.buffer, data.sha256.buffer)
-    .then((external_message_buffer) => z.proto.GenericMessage.decode(external_message_buffer))
-    .then((generic_message) => {
+    .then((external_message_buffer) => {
+      const generic_message = z.proto.GenericMessage.decode(external_message_buffer);
       this.logger.info(`Received external message of type '${generic_message.content}'`, generic_message);
-      return this._map_generic_message(generic_message, event);
+      return this._map_generic_message(generic_message, event, new Uint8Array(external_message_buffer));
     })
     .catch((error) => {
       this.logger.error(`Failed to map external message: ${error.message}`, error);
@@ -369,6 +384,31 @@ z.cryptography.CryptographyMapper = class CryptographyMapper {
     };
   }
 
+  /**
+   * Map a message of a content type unknown to this version.
+   * @note The raw payload is stored so that the message can be mapped again after an update.
+   *
+   * @private
+   * @param {z.proto.GenericMessage} generic_message - Message with unknown content
+   * @param {JSON} event - Backend event the message was received with
+   * @param {Uint8Array} raw_payload - Decrypted ProtoBuffer payload of the message
+   * @returns {Object} Placeholder for the unsupported message
+   */
+  _map_unsupported(generic_message, event, raw_payload) {
+    this.logger.info(`Stored event '${generic_message.message_id}' of unsupported type '${generic_message.content}'`, {event, generic_message});
+
+    return {
+      data: {
+        app_version: z.util.Environment.version(false),
+        asset_id: event.data ? event.data.id : undefined,
+        content_type: generic_message.content || undefined,
+        payload: raw_payload,
+        sender: event.data ? event.data.sender : undefined,
+      },
+      type: z.event.Client.CONVERSATION.UNSUPPORTED_MESSAGE,
+    };
+  }
+
   _map_text(text, event_id) {
     return {
       data: {
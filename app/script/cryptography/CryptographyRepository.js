@@ -22,6 +22,13 @@
 window.z = window.z || {};
 window.z.cryptography = z.cryptography || {};
 
+const CRYPTOGRAPHY_CONFIG = {
+  MINIMUM_PRE_KEYS: 10, // Cryptobox generates new PreKeys once fewer remain
+  PRE_KEYS_UPLOAD_RETRY_LIMIT: 3,
+  PRE_KEYS_UPLOAD_RETRY_TIMEOUT: 5 * 1000, // 5 seconds
+  PRIMARY_KEY_PENDING_PRE_KEYS: 'z.storage.StorageKey.CRYPTOGRAPHY.PENDING_PRE_KEYS',
+};
+
 const REMOTE_ENCRYPTION_FAILURE = '💣';
 
 z.cryptography.CryptographyRepository = class CryptographyRepository {
@@ -40,44 +47,165 @@ z.cryptography.CryptographyRepository = class CryptographyRepository {
 
     this.current_client = undefined;
     this.cryptobox = undefined;
+    this.pending_pre_keys = [];
     return this;
   }
 
   /**
    * Initialize the repository.
+   * @note Cryptobox runs in a Web Worker to keep encryption and decryption off the main thread. It falls back to the
+   *   main thread if the worker cannot be started.
+   *
    * @param {Object} db - Database object
+   * @param {boolean} [use_worker=true] - Run Cryptobox in a Web Worker if supported
    * @returns {Promise} Resolves with the repository after initialization
    */
-  init(db) {
-    return Promise.resolve()
+  init(db, use_worker = true) {
+    return this._load_pending_pre_keys()
     .then(() => {
-      this.logger.info(`Initializing Cryptobox with database '${db.name}'...`);
-      this.cryptobox = new cryptobox.Cryptobox(new cryptobox.store.IndexedDB(db), 10);
+      if (this.cryptobox instanceof z.cryptography.CryptoboxWorker) {
+        this.cryptobox.terminate();
+      }
 
-      this.cryptobox.on(cryptobox.Cryptobox.TOPIC.NEW_PREKEYS, (pre_keys) => {
-        const serialized_pre_keys = pre_keys.map((pre_key) => {
-          return this.cryptobox.serialize_prekey(pre_key);
-        });
+      if (use_worker && z.cryptography.CryptoboxWorker.is_supported()) {
+        this.logger.info(`Initializing Cryptobox worker with database '${db.name}'...`);
+        const cryptobox_worker = new z.cryptography.CryptoboxWorker(db.name, CRYPTOGRAPHY_CONFIG.MINIMUM_PRE_KEYS);
 
-        this.logger.log(`Received '${pre_keys.length}' new PreKeys.`, serialized_pre_keys);
-        return this.cryptography_service.put_client_prekeys(this.current_client().id, serialized_pre_keys)
-        .then(() => {
-          this.logger.log(`Successfully uploaded '${serialized_pre_keys.length}' PreKeys.`);
+        return this._init_cryptobox(cryptobox_worker)
+        .catch((error) => {
+          this.logger.warn(`Failed to initialize Cryptobox worker, falling back to main thread: ${error.message}`, error);
+          cryptobox_worker.terminate();
+          return this._init_main_thread_cryptobox(db);
         });
-      });
-
-      this.cryptobox.on(cryptobox.Cryptobox.TOPIC.NEW_SESSION, (session_id) => {
-        const {user_id, client_id} = z.client.Client.dismantle_user_client_id(session_id);
-        amplify.publish(z.event.WebApp.CLIENT.ADD, user_id, new z.client.Client({id: client_id}));
-      });
+      }
 
-      return this.cryptobox.init();
+      return this._init_main_thread_cryptobox(db);
     })
     .then(() => {
       return this;
     });
   }
 
+  /**
+   * Initialize Cryptobox on the main thread.
+   *
+   * @private
+   * @param {Object} db - Database object
+   * @returns {Promise} Resolves when Cryptobox has been initialized
+   */
+  _init_main_thread_cryptobox(db) {
+    this.logger.info(`Initializing Cryptobox with database '${db.name}'...`);
+    return this._init_cryptobox(new cryptobox.Cryptobox(new cryptobox.store.IndexedDB(db), CRYPTOGRAPHY_CONFIG.MINIMUM_PRE_KEYS));
+  }
+
+  /**
+   * Subscribe to Cryptobox topics and initialize it.
+   *
+   * @private
+   * @param {cryptobox.Cryptobox|z.cryptography.CryptoboxWorker} box - Cryptobox or its worker proxy
+   * @returns {Promise} Resolves when Cryptobox has been initialized
+   */
+  _init_cryptobox(box) {
+    this.cryptobox = box;
+
+    // Cryptobox replaces consumed PreKeys once fewer than CRYPTOGRAPHY_CONFIG.MINIMUM_PRE_KEYS remain
+    this.cryptobox.on(cryptobox.Cryptobox.TOPIC.NEW_PREKEYS, (pre_keys) => {
+      const serialized_pre_keys = pre_keys.map((pre_key) => {
+        return this.cryptobox.serialize_prekey(pre_key);
+      });
+
+      this.logger.log(`Received '${pre_keys.length}' new PreKeys.`, serialized_pre_keys);
+      return this._upload_pre_keys(serialized_pre_keys);
+    });
+
+    this.cryptobox.on(cryptobox.Cryptobox.TOPIC.NEW_SESSION, (session_id) => {
+      const {user_id, client_id} = z.client.Client.dismantle_user_client_id(session_id);
+      amplify.publish(z.event.WebApp.CLIENT.ADD, user_id, new z.client.Client({id: client_id}));
+    });
+
+    return this.cryptobox.init();
+  }
+
+  /**
+   * Upload PreKeys that failed to upload in a previous session.
+   * @note Uploads need the current client, so they are retried once it has been validated.
+   * @returns {Promise} Resolves when the pending PreKeys have been uploaded or finally failed to upload
+   */
+  upload_pending_pre_keys() {
+    if (!this.pending_pre_keys.length) {
+      return Promise.resolve();
+    }
+
+    this.logger.info(`Retrying upload of '${this.pending_pre_keys.length}' pending PreKeys`);
+    return this._upload_pre_keys([]);
+  }
+
+  /**
+   * Restore PreKeys that failed to upload in a previous session.
+   * @private
+   * @returns {Promise} Resolves when the pending PreKeys have been loaded
+   */
+  _load_pending_pre_keys() {
+    return this.storage_repository.get_value(CRYPTOGRAPHY_CONFIG.PRIMARY_KEY_PENDING_PRE_KEYS)
+    .catch(() => [])
+    .then((pending_pre_keys) => {
+      const pending_ids = this.pending_pre_keys.map(({id}) => id);
+      const restored_pre_keys = pending_pre_keys.filter(({id}) => !pending_ids.includes(id));
+      this.pending_pre_keys = restored_pre_keys.concat(this.pending_pre_keys);
+    });
+  }
+
+  /**
+   * Persist PreKeys that failed to upload to retry them after a reload.
+   * @private
+   * @returns {Promise} Resolves when the pending PreKeys have been saved
+   */
+  _save_pending_pre_keys() {
+    return this.storage_repository.save_value(CRYPTOGRAPHY_CONFIG.PRIMARY_KEY_PENDING_PRE_KEYS, this.pending_pre_keys)
+    .catch((error) => this.logger.error(`Failed to save '${this.pending_pre_keys.length}' pending PreKeys: ${error.message}`, error));
+  }
+
+  /**
+   * Upload new PreKeys for the current client.
+   * @note PreKeys that could not be uploaded after all retries are persisted and sent again with the next batch or on the next app start.
+   *
+   * @private
+   * @param {Array<Object>} serialized_pre_keys - Serialized PreKeys to be uploaded
+   * @param {number} [retry_attempt=1] - Number of the current upload attempt
+   * @returns {Promise} Resolves when the PreKeys have been uploaded or finally failed to upload
+   */
+  _upload_pre_keys(serialized_pre_keys, retry_attempt = 1) {
+    if (retry_attempt === 1) {
+      serialized_pre_keys = this.pending_pre_keys.concat(serialized_pre_keys);
+      this.pending_pre_keys = [];
+    }
+
+    if (!this.current_client || !this.current_client()) {
+      this.logger.info(`Deferring upload of '${serialized_pre_keys.length}' PreKeys until the current client is known`);
+      this.pending_pre_keys = serialized_pre_keys.concat(this.pending_pre_keys);
+      return this._save_pending_pre_keys();
+    }
+
+    return this.cryptography_service.put_client_prekeys(this.current_client().id, serialized_pre_keys)
+    .then(() => {
+      this.logger.log(`Successfully uploaded '${serialized_pre_keys.length}' PreKeys.`);
+      return this._save_pending_pre_keys();
+    })
+    .catch((error) => {
+      if (retry_attempt >= CRYPTOGRAPHY_CONFIG.PRE_KEYS_UPLOAD_RETRY_LIMIT) {
+        this.logger.error(`Failed to upload '${serialized_pre_keys.length}' PreKeys: ${error.message}`, error);
+        this.pending_pre_keys = serialized_pre_keys.concat(this.pending_pre_keys);
+        return this._save_pending_pre_keys();
+      }
+
+      this.logger.warn(`Failed to upload PreKeys in attempt '${retry_attempt}': ${error.message}`, error);
+      return new Promise((resolve) => {
+        window.setTimeout(resolve, CRYPTOGRAPHY_CONFIG.PRE_KEYS_UPLOAD_RETRY_TIMEOUT * retry_attempt);
+      })
+      .then(() => this._upload_pre_keys(serialized_pre_keys, retry_attempt + 1));
+    });
+  }
+
   /**
    * Generate all keys needed for client registration.
    * @returns {Promise} Resolves with an array of last resort key, pre-keys, and signaling keys
@@ -331,6 +459,11 @@ z.cryptography.CryptographyRepository = class CryptographyRepository {
 
     const cipher_text = z.util.base64_to_array(event.data.text || event.data.key).buffer;
     return this.cryptobox.decrypt(this._construct_session_id(event.from, event.data.sender), cipher_text)
-    .then((plaintext) => z.proto.GenericMessage.decode(plaintext));
+    .then((plaintext) => {
+      const generic_message = z.proto.GenericMessage.decode(plaintext);
+      // Unknown content is dropped while decoding, so the raw payload is kept for messages from newer clients
+      generic_message.raw_payload = new Uint8Array(plaintext);
+      return generic_message;
+    });
   }
 };
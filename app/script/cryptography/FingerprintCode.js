@@ -0,0 +1,130 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.cryptography = z.cryptography || {};
+
+const FINGERPRINT_CODE_CONFIG = {
+  CELL_SIZE: 4,
+  ERROR_CORRECTION_LEVEL: 'M',
+  MARGIN: 4,
+  PREFIX: 'wire-fingerprint',
+  VERSION: 1,
+};
+
+z.cryptography.FingerprintCode = class FingerprintCode {
+  /**
+   * Compare a scanned code with the expected device.
+   *
+   * @param {string} payload - Content of the scanned code
+   * @param {string} user_id - ID of the device owner
+   * @param {string} client_id - ID of the device
+   * @param {string} fingerprint - Fingerprint of the device as known locally
+   * @returns {z.cryptography.FingerprintCode.RESULT} Result of the comparison
+   */
+  static compare(payload, user_id, client_id, fingerprint) {
+    const code = z.cryptography.FingerprintCode.parse_payload(payload);
+
+    if (code.user_id !== user_id || code.client_id !== client_id) {
+      return z.cryptography.FingerprintCode.RESULT.OTHER_DEVICE;
+    }
+
+    if (code.fingerprint !== z.cryptography.FingerprintCode.normalize_fingerprint(fingerprint)) {
+      return z.cryptography.FingerprintCode.RESULT.MISMATCH;
+    }
+
+    return z.cryptography.FingerprintCode.RESULT.MATCH;
+  }
+
+  /**
+   * Render the content of a code as QR code image.
+   * @param {string} payload - Content of the code
+   * @returns {string} Data URL of the QR code image
+   */
+  static create_data_url(payload) {
+    const qr_code = qrcode(0, FINGERPRINT_CODE_CONFIG.ERROR_CORRECTION_LEVEL);
+    qr_code.addData(payload);
+    qr_code.make();
+    return qr_code.createDataURL(FINGERPRINT_CODE_CONFIG.CELL_SIZE, FINGERPRINT_CODE_CONFIG.MARGIN);
+  }
+
+  /**
+   * Create the content of a code identifying a device and its fingerprint.
+   *
+   * @param {string} user_id - ID of the device owner
+   * @param {string} client_id - ID of the device
+   * @param {string} fingerprint - Fingerprint of the device
+   * @returns {string} Content of the code
+   */
+  static create_payload(user_id, client_id, fingerprint) {
+    const normalized_fingerprint = z.cryptography.FingerprintCode.normalize_fingerprint(fingerprint);
+    return [FINGERPRINT_CODE_CONFIG.PREFIX, FINGERPRINT_CODE_CONFIG.VERSION, user_id, client_id, normalized_fingerprint].join(':');
+  }
+
+  /**
+   * Normalize a fingerprint for comparison.
+   * @param {string} fingerprint - Fingerprint with optional whitespace
+   * @returns {string} Lower case fingerprint without whitespace
+   */
+  static normalize_fingerprint(fingerprint) {
+    return fingerprint.replace(/\s/g, '').toLowerCase();
+  }
+
+  /**
+   * Parse the content of a code.
+   * @param {string} payload - Content of the code
+   * @returns {Object} User ID, client ID and fingerprint contained in the code
+   */
+  static parse_payload(payload) {
+    const [prefix, version, user_id, client_id, fingerprint] = `${payload}`.trim().split(':');
+
+    const is_valid_header = prefix === FINGERPRINT_CODE_CONFIG.PREFIX && version === `${FINGERPRINT_CODE_CONFIG.VERSION}`;
+    if (!is_valid_header || !user_id || !client_id || !fingerprint) {
+      throw new z.cryptography.CryptographyError(z.cryptography.CryptographyError.TYPE.INVALID_FINGERPRINT_CODE);
+    }
+
+    return {
+      client_id: client_id,
+      fingerprint: z.cryptography.FingerprintCode.normalize_fingerprint(fingerprint),
+      user_id: user_id,
+    };
+  }
+
+  /**
+   * Look for a QR code in an image.
+   * @param {ImageData} image_data - Pixels of an image or video frame
+   * @returns {string|undefined} Content of the QR code if one was found
+   */
+  static scan_image_data(image_data) {
+    const qr_code = jsQR(image_data.data, image_data.width, image_data.height);
+    if (qr_code) {
+      return qr_code.data;
+    }
+  }
+
+  static get RESULT() {
+    return {
+      MATCH: 'z.cryptography.FingerprintCode.RESULT.MATCH',
+      MISMATCH: 'z.cryptography.FingerprintCode.RESULT.MISMATCH',
+      OTHER_DEVICE: 'z.cryptography.FingerprintCode.RESULT.OTHER_DEVICE',
+    };
+  }
+};
@@ -0,0 +1,123 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.cryptography = z.cryptography || {};
+
+const SESSION_REPAIR_POLICY_CONFIG = {
+  FAILURE_THRESHOLD: 2,
+  FAILURE_TIMEFRAME: 10 * 60 * 1000, // 10 minutes
+  RESET_BACKOFF_BASE: 60 * 1000, // 1 minute
+  RESET_BACKOFF_MAXIMUM: 24 * 60 * 60 * 1000, // 24 hours
+  RESET_LIMIT: 10,
+  RESET_LIMIT_TIMEFRAME: 60 * 60 * 1000, // 1 hour
+};
+
+z.cryptography.SessionRepairPolicy = class SessionRepairPolicy {
+  /**
+   * Construct a new session repair policy.
+   * @note Decides whether a session should be reset automatically after failing to decrypt a message.
+   */
+  constructor() {
+    this.logger = new z.util.Logger('z.cryptography.SessionRepairPolicy', z.config.LOGGER.OPTIONS);
+
+    this.is_enabled = true;
+    this.reset_timestamps = [];
+    this.sessions = {};
+  }
+
+  /**
+   * Check whether a decryption error is known to be caused by a broken session.
+   * @param {Error} decryption_error - Error from event decryption
+   * @returns {boolean} Is error caused by a broken session
+   */
+  static is_broken_session_error(decryption_error) {
+    const is_invalid_message = decryption_error instanceof Proteus.errors.DecryptError.InvalidMessage;
+    return is_invalid_message || decryption_error instanceof Proteus.errors.DecryptError.InvalidSignature;
+  }
+
+  /**
+   * Register a failed decryption and check whether the session should be reset.
+   *
+   * @note Changed remote identities are never reset automatically as they require the user's attention.
+   * @param {string} session_id - ID of session the decryption failed in
+   * @param {Error} decryption_error - Error from event decryption
+   * @returns {boolean} Session should be reset
+   */
+  register_failure(session_id, decryption_error) {
+    if (!this.is_enabled || decryption_error instanceof Proteus.errors.DecryptError.RemoteIdentityChanged) {
+      return false;
+    }
+
+    const timestamp = Date.now();
+    const session = this._get_session(session_id);
+    session.failures = session.failures.filter((failure_timestamp) => {
+      return timestamp - failure_timestamp < SESSION_REPAIR_POLICY_CONFIG.FAILURE_TIMEFRAME;
+    });
+    session.failures.push(timestamp);
+
+    const is_broken_session = z.cryptography.SessionRepairPolicy.is_broken_session_error(decryption_error);
+    const is_repeated_failure = session.failures.length >= SESSION_REPAIR_POLICY_CONFIG.FAILURE_THRESHOLD;
+    if (!is_broken_session && !is_repeated_failure) {
+      return false;
+    }
+
+    if (timestamp < session.next_reset) {
+      this.logger.info(`Skipped reset of session '${session_id}' until '${new Date(session.next_reset).toISOString()}'`);
+      return false;
+    }
+
+    this.reset_timestamps = this.reset_timestamps.filter((reset_timestamp) => {
+      return timestamp - reset_timestamp < SESSION_REPAIR_POLICY_CONFIG.RESET_LIMIT_TIMEFRAME;
+    });
+    if (this.reset_timestamps.length >= SESSION_REPAIR_POLICY_CONFIG.RESET_LIMIT) {
+      this.logger.warn(`Skipped reset of session '${session_id}' as '${this.reset_timestamps.length}' sessions were reset recently`);
+      return false;
+    }
+
+    const backoff = SESSION_REPAIR_POLICY_CONFIG.RESET_BACKOFF_BASE * Math.pow(2, session.resets);
+    session.failures = [];
+    session.next_reset = timestamp + Math.min(backoff, SESSION_REPAIR_POLICY_CONFIG.RESET_BACKOFF_MAXIMUM);
+    session.resets++;
+    this.reset_timestamps.push(timestamp);
+
+    this.logger.info(`Resetting session '${session_id}' automatically (attempt '${session.resets}')`);
+    return true;
+  }
+
+  /**
+   * Get the failure tracking of a session.
+   *
+   * @private
+   * @param {string} session_id - ID of session
+   * @returns {Object} Failure tracking of session
+   */
+  _get_session(session_id) {
+    if (!this.sessions[session_id]) {
+      this.sessions[session_id] = {
+        failures: [],
+        next_reset: 0,
+        resets: 0,
+      };
+    }
+    return this.sessions[session_id];
+  }
+};
@@ -32,6 +32,9 @@ z.entity.ContentMessage = class ContentMessage extends z.entity.Message {
     this.replacing_message_id = null;
     this.edited_timestamp = null;
 
+    this.confirmations = ko.observable({});
+    this.confirmed_user_ids = ko.pureComputed(() => Object.keys(this.confirmations()));
+
     this.reactions = ko.observable({});
     this.reactions_user_ets = ko.observableArray();
     this.reactions_user_ids = ko.pureComputed(() => {
@@ -103,6 +106,21 @@ z.entity.ContentMessage = class ContentMessage extends z.entity.Message {
     return this.assets()[0];
   }
 
+  /**
+   * Record the confirmation of a recipient.
+   * @param {Object} event_json - JSON data of 'conversation.confirmation' event
+   * @returns {Object|undefined} Changes to be persisted if the confirmation raised the status of the recipient
+   */
+  update_confirmations(event_json) {
+    const {data: event_data, from: user_id} = event_json;
+    const confirmations = this.confirmations();
+
+    if (!(confirmations[user_id] >= event_data.status)) {
+      this.confirmations(Object.assign({}, confirmations, {[user_id]: event_data.status}));
+      return {confirmations: this.confirmations()};
+    }
+  }
+
   update_reactions(event_json) {
     const reactions = this.reactions();
 
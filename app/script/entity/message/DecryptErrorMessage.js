@@ -29,6 +29,7 @@ z.entity.DecryptErrorMessage = class DecryptErrorMessage extends z.entity.Messag
 
     this.error_code = '';
     this.client_id = '';
+    this.is_session_reset = ko.observable(false);
 
     this.caption = ko.pureComputed(() => {
       let caption_id = z.string.conversation_unable_to_decrypt_1;
@@ -52,7 +53,7 @@ z.entity.DecryptErrorMessage = class DecryptErrorMessage extends z.entity.Messag
     });
 
     this.is_recoverable = ko.pureComputed(() => {
-      return this.error_code.toString().startsWith('2');
+      return !this.is_session_reset() && this.error_code.toString().startsWith('2');
     });
 
     this.is_resetting_session = ko.observable(false);
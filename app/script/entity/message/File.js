@@ -42,6 +42,7 @@ z.entity.File = class File extends z.entity.Asset {
     this.original_resource = ko.observable();
     this.preview_resource = ko.observable();
 
+    this.cancel_download = this.cancel_download.bind(this);
     this.download = this.download.bind(this);
     this.download_progress = ko.pureComputed(() => {
       if (this.original_resource()) {
@@ -95,7 +96,7 @@ z.entity.File = class File extends z.entity.Asset {
   load() {
     this.status(z.assets.AssetTransferState.DOWNLOADING);
 
-    return this.original_resource().load()
+    return this.original_resource().load(z.assets.AssetDownloadPriority.HIGH, this.file_name)
       .then((blob) => {
         this.status(z.assets.AssetTransferState.UPLOADED);
         return blob;
@@ -136,6 +137,9 @@ z.entity.File = class File extends z.entity.Asset {
           $.extend(tracking_data, {time: download_duration}));
       })
       .catch((error) => {
+        if (error.type === z.assets.AssetError.TYPE.DOWNLOAD_CANCELLED) {
+          return this.logger.info('Cancelled download of asset');
+        }
         this.logger.error('Failed to download asset', error);
         return amplify.publish(z.event.WebApp.ANALYTICS.EVENT, z.tracking.EventName.FILE.DOWNLOAD_FAILED, tracking_data);
       });
@@ -158,6 +162,14 @@ z.entity.File = class File extends z.entity.Asset {
     });
   }
 
+  pause(message_et) {
+    amplify.publish(z.event.WebApp.CONVERSATION.ASSET.PAUSE, message_et);
+  }
+
+  resume(message_et) {
+    amplify.publish(z.event.WebApp.CONVERSATION.ASSET.RESUME, message_et);
+  }
+
   reload() {
     this.logger.info('Restart upload');
   }
@@ -46,7 +46,7 @@ z.entity.MediumImage = class MediumImage extends z.entity.Asset {
    * @returns {Promise} Returns a promise that resolves with the asset as blob
    */
   download(file_name) {
-    return this.resource().load()
+    return this.resource().load(z.assets.AssetDownloadPriority.HIGH, file_name)
       .then(function(blob) {
         return z.util.download_blob(blob, file_name);
       });
@@ -269,6 +269,14 @@ z.entity.Message = class Message {
     return this.super_type === z.message.SuperType.UNABLE_TO_DECRYPT;
   }
 
+  /**
+   * Check if message is of a type unknown to this version.
+   * @returns {boolean} Is message of unsupported type
+   */
+  is_unsupported() {
+    return this.super_type === z.message.SuperType.UNSUPPORTED;
+  }
+
   /**
    * Check if message can be edited.
    * @returns {boolean} True, if message can be edited.
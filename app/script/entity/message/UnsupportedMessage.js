@@ -0,0 +1,42 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.entity = z.entity || {};
+
+z.entity.UnsupportedMessage = class UnsupportedMessage extends z.entity.Message {
+  constructor() {
+    super();
+    this.super_type = z.message.SuperType.UNSUPPORTED;
+
+    this.content_type = undefined;
+
+    this.caption = ko.pureComputed(() => {
+      return z.localization.Localizer.get_text({
+        id: z.string.conversation_unsupported_message,
+        replace: {
+          content: `<span class='label-bold-xs'>${z.util.escape_html(this.user().first_name())}</span>`,
+          placeholder: '%@name',
+        },
+      });
+    });
+  }
+};
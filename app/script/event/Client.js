@@ -39,6 +39,7 @@ z.event.Client = {
     MISSED_MESSAGES: 'conversation.missed-messages',
     REACTION: 'conversation.reaction',
     UNABLE_TO_DECRYPT: 'conversation.unable-to-decrypt',
+    UNSUPPORTED_MESSAGE: 'conversation.unsupported-message',
     VERIFICATION: 'conversation.verification',
   },
 };
@@ -37,6 +37,9 @@ z.event.EventError = class EventError extends Error {
       case z.event.EventError.TYPE.DEPRECATED_SCHEMA:
         this.message = 'Event type is deprecated';
         break;
+      case z.event.EventError.TYPE.DUPLICATE_EVENT:
+        this.message = 'Event has already been handled';
+        break;
       case z.event.EventError.TYPE.NO_CLIENT_ID:
         this.message = 'Missing client id';
         break;
@@ -49,6 +52,9 @@ z.event.EventError = class EventError extends Error {
       case z.event.EventError.TYPE.OUTDATED_E_CALL_EVENT:
         this.message = 'Ignoring outdated e-call event';
         break;
+      case z.event.EventError.TYPE.OUTDATED_TYPING_EVENT:
+        this.message = 'Ignoring outdated typing event';
+        break;
       case z.event.EventError.TYPE.REQUEST_FAILURE:
         this.message = 'Event related backend request failure';
         break;
@@ -62,10 +68,12 @@ z.event.EventError = class EventError extends Error {
     return {
       DATABASE_FAILURE: 'z.event.EventError.TYPE.DATABASE_FAILURE',
       DEPRECATED_SCHEMA: 'z.event.EventError.TYPE.DEPRECATED_SCHEMA',
+      DUPLICATE_EVENT: 'z.event.EventError.TYPE.DUPLICATE_EVENT',
       NO_CLIENT_ID: 'z.event.EventError.TYPE.NO_CLIENT_ID',
       NO_LAST_ID: 'z.event.EventError.TYPE.NO_LAST_ID',
       NO_NOTIFICATIONS: 'z.event.EventError.TYPE.NO_NOTIFICATIONS',
       OUTDATED_E_CALL_EVENT: 'z.event.EventError.OUTDATED_E_CALL_EVENT',
+      OUTDATED_TYPING_EVENT: 'z.event.EventError.TYPE.OUTDATED_TYPING_EVENT',
       REQUEST_FAILURE: 'z.event.EventError.TYPE.REQUEST_FAILURE',
     };
   }
@@ -24,7 +24,12 @@ window.z.event = z.event || {};
 
 const EVENT_CONFIG = {
   E_CALL_EVENT_LIFETIME: 30 * 1000, // 30 seconds
+  HANDLED_EVENTS_RETENTION: 28 * 24 * 60 * 60 * 1000, // 28 days
+  NOTIFICATIONS_CHECKPOINT_INTERVAL: 50,
+  NOTIFICATIONS_PAGE_SIZE: 500,
+  POLLING_FALLBACK_TIMEOUT: 20 * 1000, // 20 seconds
   UNKNOWN_DECRYPTION_ERROR_CODE: 999,
+  WEB_SOCKET_BUFFER_LIMIT: 500,
 };
 
 const NOTIFICATION_SOURCE = {
@@ -71,7 +76,9 @@ z.event.EventRepository = class EventRepository {
 
     this.notifications_handled = 0;
     this.notifications_loaded = ko.observable(false);
+    this.notifications_next_page_id = undefined;
     this.notifications_promises = undefined;
+    this.notifications_since_checkpoint = 0;
     this.notifications_total = 0;
     this.notifications_queue = ko.observableArray([]);
     this.notifications_blocked = false;
@@ -89,31 +96,54 @@ z.event.EventRepository = class EventRepository {
         })
         .then(() => {
           this.notifications_blocked = false;
-          this.notifications_queue.shift();
           this.notifications_handled++;
-
-          if ((this.notifications_handled % 5) === 0) {
-            const progress = this.notifications_handled / this.notifications_total * 70 + 25;
-            return amplify.publish(z.event.WebApp.APP.UPDATE_PROGRESS, progress, z.string.init_events_progress, [this.notifications_handled, this.notifications_total]);
-          }
+          this.notifications_queue.shift();
         });
       }
 
-      if (this.notifications_loaded() && this.notification_handling_state() !== z.event.NOTIFICATION_HANDLING_STATE.WEB_SOCKET) {
-        this.logger.info(`Done handling '${this.notifications_total}' notifications from the stream`);
-        this.notification_handling_state(z.event.NOTIFICATION_HANDLING_STATE.WEB_SOCKET);
-        this._find_ongoing_calls();
-        this.notifications_loaded(false);
-        this.notifications_promises[0](this.last_notification_id());
+      if (this.notification_handling_state() !== z.event.NOTIFICATION_HANDLING_STATE.WEB_SOCKET) {
+        const has_more = !!this.notifications_next_page_id;
+        if (this.notification_handling_state() === z.event.NOTIFICATION_HANDLING_STATE.STREAM) {
+          amplify.publish(z.event.WebApp.TELEMETRY.NOTIFICATIONS_PROGRESS, this.notifications_handled, this.notifications_total, has_more);
+        }
+
+        if (has_more) {
+          return this._get_next_notifications_page();
+        }
+
+        if (this.notifications_loaded()) {
+          this._finish_notification_stream();
+        }
       }
     });
 
     this.web_socket_buffer = [];
+    this.web_socket_buffer_draining = false;
+    this.web_socket_buffer_spill_promise = Promise.resolve();
+    this.web_socket_buffer_spilled = 0;
+
+    this.polling_service = new z.event.PollingService(notification_service);
+    this.polling_fallback_timeout_id = undefined;
+
+    this.connection_state = ko.pureComputed(() => {
+      const polling_state = this.polling_service.connection_state();
+      if (polling_state === z.event.CONNECTION_STATE.ONLINE) {
+        return polling_state;
+      }
+      return this.web_socket_service.connection_state();
+    });
+    this.connection_state.subscribe((connection_state) => amplify.publish(z.event.WebApp.CONNECTION.STATE, connection_state));
+
+    this.web_socket_service.connection_state.subscribe(this._on_connection_state.bind(this));
 
     this.last_notification_id = ko.observable(undefined);
 
+    this.session_repair_policy = new z.cryptography.SessionRepairPolicy();
+
     amplify.subscribe(z.event.WebApp.CONNECTION.ONLINE, this.recover_from_notification_stream.bind(this));
     amplify.subscribe(z.event.WebApp.EVENT.INJECT, this.inject_event.bind(this));
+    amplify.subscribe(z.event.WebApp.PROPERTIES.UPDATE.AUTO_RESET_SESSIONS, this.updated_auto_reset_sessions.bind(this));
+    amplify.subscribe(z.event.WebApp.PROPERTIES.UPDATED, this.updated_properties.bind(this));
     return this;
   }
 
@@ -132,12 +162,8 @@ z.event.EventRepository = class EventRepository {
     }
 
     this.web_socket_service.client_id = this.current_client().id;
-    this.web_socket_service.connect((notification) => {
-      if (this.notification_handling_state() === z.event.NOTIFICATION_HANDLING_STATE.WEB_SOCKET) {
-        return this.notifications_queue.push(notification);
-      }
-      this._buffer_web_socket_notification(notification);
-    });
+    this.polling_service.client_id = this.current_client().id;
+    this.web_socket_service.connect(this._on_live_notification.bind(this));
   }
 
   /**
@@ -147,6 +173,7 @@ z.event.EventRepository = class EventRepository {
    */
   disconnect_web_socket(trigger) {
     this.web_socket_service.reset(trigger);
+    this._stop_polling(trigger);
   }
 
   /**
@@ -159,25 +186,221 @@ z.event.EventRepository = class EventRepository {
     this.web_socket_service.reconnect(trigger);
   }
 
+  /**
+   * React to changes of the WebSocket connection health.
+   *
+   * @note Notifications arriving on a re-established connection are buffered until the stream has been recovered.
+   *   If the WebSocket cannot be established in time, we fall back to polling until it succeeds again.
+   *
+   * @private
+   * @param {z.event.CONNECTION_STATE} connection_state - New state of the WebSocket connection
+   * @returns {undefined} No return value
+   */
+  _on_connection_state(connection_state) {
+    switch (connection_state) {
+      case z.event.CONNECTION_STATE.CONNECTING:
+      case z.event.CONNECTION_STATE.DEGRADED: {
+        if (this.notification_handling_state() === z.event.NOTIFICATION_HANDLING_STATE.WEB_SOCKET) {
+          this.logger.warn('WebSocket connection degraded. Buffering notifications until recovered from stream.');
+          this.notification_handling_state(z.event.NOTIFICATION_HANDLING_STATE.RECOVERY);
+        }
+        this._schedule_polling_fallback();
+        break;
+      }
+      case z.event.CONNECTION_STATE.ONLINE: {
+        this._stop_polling(z.event.WebSocketService.CHANGE_TRIGGER.ONLINE);
+        break;
+      }
+      default: {
+        window.clearTimeout(this.polling_fallback_timeout_id);
+        this.polling_fallback_timeout_id = undefined;
+      }
+    }
+  }
+
+  /**
+   * Push a notification received from a live transport to the queue or buffer it.
+   *
+   * @private
+   * @param {Object} notification - Notification data
+   * @returns {undefined} No return value
+   */
+  _on_live_notification(notification) {
+    const is_live = this.notification_handling_state() === z.event.NOTIFICATION_HANDLING_STATE.WEB_SOCKET;
+    if (is_live && !this.web_socket_buffer_draining) {
+      return this.notifications_queue.push(notification);
+    }
+    this._buffer_web_socket_notification(notification);
+  }
+
+  /**
+   * Fall back to polling if the WebSocket is not established within the timeout.
+   * @private
+   * @returns {undefined} No return value
+   */
+  _schedule_polling_fallback() {
+    const is_polling = this.polling_service.connection_state() !== z.event.CONNECTION_STATE.OFFLINE;
+    if (is_polling || this.polling_fallback_timeout_id) {
+      return;
+    }
+
+    this.polling_fallback_timeout_id = window.setTimeout(() => {
+      this.polling_fallback_timeout_id = undefined;
+
+      if (this.web_socket_service.connection_state() !== z.event.CONNECTION_STATE.ONLINE) {
+        // Do not compete with the initial notification stream handling
+        if (this.notification_handling_state() === z.event.NOTIFICATION_HANDLING_STATE.STREAM) {
+          return this._schedule_polling_fallback();
+        }
+        this._start_polling();
+      }
+    }, EVENT_CONFIG.POLLING_FALLBACK_TIMEOUT);
+  }
+
+  /**
+   * Start receiving notifications by polling the notification stream.
+   * @note Polling continues from the last known notification and thereby also recovers missed notifications.
+   *
+   * @private
+   * @returns {undefined} No return value
+   */
+  _start_polling() {
+    this.logger.warn('WebSocket could not be established. Falling back to polling the notification stream.');
+    this.polling_service.last_notification_id = this._get_last_known_notification_id();
+    this.polling_service.connect(this._on_live_notification.bind(this));
+
+    if (this.notification_handling_state() === z.event.NOTIFICATION_HANDLING_STATE.RECOVERY) {
+      this.notification_handling_state(z.event.NOTIFICATION_HANDLING_STATE.WEB_SOCKET);
+    }
+  }
+
+  /**
+   * Stop polling the notification stream.
+   *
+   * @private
+   * @param {z.event.WebSocketService.CHANGE_TRIGGER} trigger - Trigger of the stop
+   * @returns {undefined} No return value
+   */
+  _stop_polling(trigger) {
+    window.clearTimeout(this.polling_fallback_timeout_id);
+    this.polling_fallback_timeout_id = undefined;
+
+    if (this.polling_service.connection_state() !== z.event.CONNECTION_STATE.OFFLINE) {
+      this.logger.info('Stopped polling the notification stream');
+      this.polling_service.reset(trigger);
+    }
+  }
+
   /**
    * Buffer an incoming notification.
+   * @note Once the buffer limit is reached, further notifications are spilled to the database to bound memory usage.
+   *
    * @param {Object} notification - Notification data
    * @returns {undefined} No return value
    */
   _buffer_web_socket_notification(notification) {
-    this.web_socket_buffer.push(notification);
+    const is_buffer_full = this.web_socket_buffer.length >= EVENT_CONFIG.WEB_SOCKET_BUFFER_LIMIT;
+    const is_spilling = this.web_socket_buffer_spilled > 0 || this.web_socket_buffer_draining;
+
+    if (!is_buffer_full && !is_spilling) {
+      this.web_socket_buffer.push(notification);
+      return;
+    }
+
+    if (!is_spilling) {
+      this.logger.warn(`Buffered '${EVENT_CONFIG.WEB_SOCKET_BUFFER_LIMIT}' notifications in memory. Spilling further notifications to the database.`);
+      this.web_socket_buffer_spill_promise = this.web_socket_buffer_spill_promise
+      .then(() => this.notification_service.clear_buffered_notifications());
+    }
+
+    this.web_socket_buffer_spilled++;
+    this.web_socket_buffer_spill_promise = this.web_socket_buffer_spill_promise
+    .then(() => this.notification_service.save_buffered_notification(notification))
+    .catch((error) => {
+      this.logger.error(`Failed to spill notification '${notification.id}' to the database: ${error.message}`, error);
+    });
+  }
+
+  /**
+   * Get the number of buffered notifications.
+   * @returns {number} Number of notifications buffered in memory and in the database
+   */
+  get_web_socket_buffer_size() {
+    return this.web_socket_buffer.length + this.web_socket_buffer_spilled;
   }
 
   /**
    * Handle buffered notifications.
-   * @returns {undefined} No return value
+   * @note Notifications spilled to the database are queued in pages after the ones buffered in memory.
+   * @returns {Promise} Resolves when all buffered notifications have been queued
    */
   _handle_buffered_notifications() {
-    this.logger.info(`Received '${this.web_socket_buffer.length}' notifications via WebSocket while handling stream`);
+    this.logger.info(`Received '${this.get_web_socket_buffer_size()}' notifications via WebSocket while handling stream`);
     if (this.web_socket_buffer.length) {
       z.util.ko_array_push_all(this.notifications_queue, this.web_socket_buffer);
       this.web_socket_buffer.length = 0;
     }
+
+    if (!this.web_socket_buffer_spilled || this.web_socket_buffer_draining) {
+      return Promise.resolve();
+    }
+
+    this.web_socket_buffer_draining = true;
+    return this._drain_spilled_notifications()
+    .catch((error) => {
+      this.logger.error(`Failed to drain notifications spilled to the database: ${error.message}`, error);
+      this.web_socket_buffer_spilled = 0;
+      this.web_socket_buffer_draining = false;
+    });
+  }
+
+  /**
+   * Queue notifications spilled to the database page by page.
+   * @note Notifications received while draining are spilled as well to keep them in order.
+   *
+   * @private
+   * @returns {Promise} Resolves when all spilled notifications have been queued
+   */
+  _drain_spilled_notifications() {
+    const spill_promise = this.web_socket_buffer_spill_promise;
+
+    return spill_promise
+    .then(() => this.notification_service.take_buffered_notifications(EVENT_CONFIG.WEB_SOCKET_BUFFER_LIMIT))
+    .then((notifications) => {
+      if (notifications.length) {
+        this.web_socket_buffer_spilled = Math.max(this.web_socket_buffer_spilled - notifications.length, 0);
+        z.util.ko_array_push_all(this.notifications_queue, notifications);
+        return this._wait_for_empty_notifications_queue()
+        .then(() => this._drain_spilled_notifications());
+      }
+
+      if (spill_promise !== this.web_socket_buffer_spill_promise) {
+        return this._drain_spilled_notifications();
+      }
+
+      this.web_socket_buffer_spilled = 0;
+      this.web_socket_buffer_draining = false;
+    });
+  }
+
+  /**
+   * Wait until all queued notifications have been handled.
+   * @private
+   * @returns {Promise} Resolves when the notifications queue is empty
+   */
+  _wait_for_empty_notifications_queue() {
+    return new Promise((resolve) => {
+      if (!this.notifications_queue().length) {
+        return resolve();
+      }
+
+      const subscription = this.notifications_queue.subscribe((notifications) => {
+        if (!notifications.length) {
+          subscription.dispose();
+          resolve();
+        }
+      });
+    });
   }
 
 
@@ -188,11 +411,13 @@ z.event.EventRepository = class EventRepository {
   /**
    * Get notifications for the current client from the stream.
    *
+   * @note Notifications are fetched page by page. The next page is only requested once the current one has been handled.
+   *
    * @param {string} notification_id - Event ID to start from
-   * @param {number} [limit=10000] - Max. number of notifications to retrieve from backend at once
+   * @param {number} [limit=EVENT_CONFIG.NOTIFICATIONS_PAGE_SIZE] - Max. number of notifications to retrieve from backend at once
    * @returns {Promise} Resolves when all new notifications from the stream have been handled
    */
-  get_notifications(notification_id, limit = 10000) {
+  get_notifications(notification_id, limit = EVENT_CONFIG.NOTIFICATIONS_PAGE_SIZE) {
     return new Promise((resolve, reject) => {
       const _got_notifications = ({has_more, notifications, time}) => {
         if (time) {
@@ -202,9 +427,6 @@ z.event.EventRepository = class EventRepository {
         if (notifications.length > 0) {
           notification_id = notifications[notifications.length - 1].id;
 
-          this.logger.info(`Added '${notifications.length}' notifications to the queue`);
-          z.util.ko_array_push_all(this.notifications_queue, notifications);
-
           if (!this.notifications_promises) {
             this.notifications_promises = [resolve, reject];
           }
@@ -212,12 +434,14 @@ z.event.EventRepository = class EventRepository {
           this.notifications_total += notifications.length;
 
           if (has_more) {
-            return this.get_notifications(notification_id, 5000);
+            this.notifications_next_page_id = notification_id;
+          } else {
+            this.notifications_loaded(true);
+            this.logger.info(`Fetched '${this.notifications_total}' notifications from the backend`);
           }
 
-          this.notifications_loaded(true);
-          return this.logger.info(`Fetched '${this.notifications_total}' notifications from the backend`);
-
+          this.logger.info(`Added '${notifications.length}' notifications to the queue`);
+          return z.util.ko_array_push_all(this.notifications_queue, notifications);
         }
         this.logger.info(`No notifications found since '${notification_id}'`);
         return reject(new z.event.EventError(z.event.EventError.TYPE.NO_NOTIFICATIONS));
@@ -265,6 +489,7 @@ z.event.EventRepository = class EventRepository {
     return this.notification_service.get_notifications_last(client_id)
     .then((response) => {
       this._update_last_notification_id(response.id);
+      this._checkpoint_last_notification_id();
       this.logger.info(`Set starting point on notification stream to '${this.last_notification_id()}'`);
     });
   }
@@ -274,6 +499,8 @@ z.event.EventRepository = class EventRepository {
    * @returns {Promise} Resolves when all notifications have been handled
    */
   initialize_from_notification_stream() {
+    this._remove_outdated_handled_events();
+
     return this.get_last_notification_id_from_db()
     .then((last_notification_id) => {
       return this._update_from_notification_stream(last_notification_id);
@@ -345,6 +572,47 @@ z.event.EventRepository = class EventRepository {
     });
   }
 
+  /**
+   * Complete handling of the notification stream.
+   * @private
+   * @returns {undefined} No return value
+   */
+  _finish_notification_stream() {
+    this.logger.info(`Done handling '${this.notifications_total}' notifications from the stream`);
+    this._checkpoint_last_notification_id();
+    this.notification_handling_state(z.event.NOTIFICATION_HANDLING_STATE.WEB_SOCKET);
+    this._find_ongoing_calls();
+    this.notifications_loaded(false);
+
+    const [resolve_stream] = this.notifications_promises;
+    this.notifications_promises = undefined;
+    resolve_stream(this.last_notification_id());
+  }
+
+  /**
+   * Fetch the next page of the notification stream.
+   * @private
+   * @returns {Promise} Resolves when the next page has been added to the queue
+   */
+  _get_next_notifications_page() {
+    const notification_id = this.notifications_next_page_id;
+    this.notifications_next_page_id = undefined;
+
+    this.logger.info(`Fetching next page of notifications since '${notification_id}'`);
+    return this.get_notifications(notification_id)
+    .catch((error) => {
+      if (error.type === z.event.EventError.TYPE.NO_NOTIFICATIONS) {
+        this.notifications_loaded(true);
+        return this._finish_notification_stream();
+      }
+
+      this._checkpoint_last_notification_id();
+      const [, reject_stream] = this.notifications_promises;
+      this.notifications_promises = undefined;
+      reject_stream(error);
+    });
+  }
+
   /**
    * Get the ID of the last known notification.
    * @note Notifications that have not yet been handled but are in the queue should not be fetched again on recovery
@@ -367,9 +635,10 @@ z.event.EventRepository = class EventRepository {
    * @returns {Promise} Resolves with the total number of notifications
    */
   _update_from_notification_stream(last_notification_id) {
+    this.notifications_handled = 0;
     this.notifications_total = 0;
 
-    return this.get_notifications(last_notification_id, 500)
+    return this.get_notifications(last_notification_id)
     .then((updated_last_notification_id) => {
       if (updated_last_notification_id) {
         this.logger.info(`ID of last notification fetched from stream is '${updated_last_notification_id}'`);
@@ -388,6 +657,17 @@ z.event.EventRepository = class EventRepository {
     });
   }
 
+  /**
+   * Remove keys of handled events that are older than the notification stream retention.
+   * @private
+   * @returns {Promise} Resolves when outdated keys have been removed
+   */
+  _remove_outdated_handled_events() {
+    return this.notification_service.delete_handled_events_before(Date.now() - EVENT_CONFIG.HANDLED_EVENTS_RETENTION)
+    .then((number_of_keys) => this.logger.info(`Removed '${number_of_keys}' outdated keys of handled events`))
+    .catch((error) => this.logger.error(`Failed to remove outdated keys of handled events: ${error.message}`, error));
+  }
+
   /**
    * Update local clock drift.
    *
@@ -401,7 +681,21 @@ z.event.EventRepository = class EventRepository {
   }
 
   /**
-   * Persist updated last notification ID.
+   * Persist the last notification ID.
+   * @private
+   * @returns {undefined} No return value
+   */
+  _checkpoint_last_notification_id() {
+    if (this.notifications_since_checkpoint) {
+      this.notifications_since_checkpoint = 0;
+      this.notification_service.save_last_notification_id_to_db(this.last_notification_id());
+    }
+  }
+
+  /**
+   * Update last notification ID.
+   * @note While catching up with the stream, progress is only persisted every few notifications.
+   *   Notifications handled after the last checkpoint are replayed on reload and dropped as handled events.
    *
    * @private
    * @param {string} last_notification_id - Updated last notification ID
@@ -410,7 +704,12 @@ z.event.EventRepository = class EventRepository {
   _update_last_notification_id(last_notification_id) {
     if (last_notification_id) {
       this.last_notification_id(last_notification_id);
-      this.notification_service.save_last_notification_id_to_db(last_notification_id);
+      this.notifications_since_checkpoint++;
+
+      const is_live = this.notification_handling_state() === z.event.NOTIFICATION_HANDLING_STATE.WEB_SOCKET;
+      if (is_live || this.notifications_since_checkpoint >= EVENT_CONFIG.NOTIFICATIONS_CHECKPOINT_INTERVAL) {
+        this._checkpoint_last_notification_id();
+      }
     }
   }
 
@@ -424,13 +723,112 @@ z.event.EventRepository = class EventRepository {
    * @note Don't add unable to decrypt to self conversation
    *
    * @param {Object} event - Event payload to be injected
-   * @returns {undefined} No return value
+   * @returns {Promise} Resolves when the event has been handled
    */
   inject_event(event) {
     if (event.conversation !== this.user_repository.self().id) {
       this.logger.info(`Injected event ID '${event.id}' of type '${event.type}'`, event);
-      this._handle_event(event);
+      return this._handle_event(event);
     }
+    return Promise.resolve();
+  }
+
+  /**
+   * Map stored messages of unsupported types again after an update.
+   * @note Runs before the notification stream is handled, so remapped messages are applied in order and do not notify.
+   * @returns {Promise} Resolves with the number of messages that are supported now
+   */
+  remap_unsupported_events() {
+    const app_version = z.util.Environment.version(false);
+    let number_of_remapped_events = 0;
+
+    return this.conversation_service.load_events_with_types([z.event.Client.CONVERSATION.UNSUPPORTED_MESSAGE])
+    .then((events) => {
+      const outdated_events = events.filter(({data}) => data.app_version !== app_version);
+      if (outdated_events.length) {
+        this.logger.info(`Re-mapping '${outdated_events.length}' stored messages of unsupported types`);
+      }
+
+      return outdated_events.reduce((promise, event) => {
+        return promise
+        .then(() => this._remap_unsupported_event(event, app_version))
+        .then((is_remapped) => {
+          if (is_remapped) {
+            number_of_remapped_events++;
+          }
+        })
+        .catch((error) => this.logger.error(`Failed to re-map unsupported message '${event.id}': ${error.message}`, error));
+      }, Promise.resolve());
+    })
+    .then(() => {
+      if (number_of_remapped_events) {
+        this.logger.info(`Re-mapped '${number_of_remapped_events}' messages of previously unsupported types`);
+      }
+      return number_of_remapped_events;
+    })
+    .catch((error) => {
+      this.logger.error(`Failed to re-map unsupported messages: ${error.message}`, error);
+      return number_of_remapped_events;
+    });
+  }
+
+  /**
+   * Update automatic session resets on preference change.
+   * @param {boolean} auto_reset_preference - Reset broken sessions automatically
+   * @returns {undefined} No return value
+   */
+  updated_auto_reset_sessions(auto_reset_preference) {
+    this.session_repair_policy.is_enabled = auto_reset_preference;
+  }
+
+  /**
+   * Apply loaded user properties.
+   * @param {z.properties.Properties} properties - User properties
+   * @returns {undefined} No return value
+   */
+  updated_properties(properties) {
+    this.updated_auto_reset_sessions(properties.settings.sessions.auto_reset);
+  }
+
+  /**
+   * Map a stored message of an unsupported type with the current version.
+   * @note Supported messages replace their placeholder in place and are handled like a received message.
+   *
+   * @private
+   * @param {Object} stored_event - Stored event of type 'conversation.unsupported-message'
+   * @param {string} app_version - Current version of the app
+   * @returns {Promise} Resolves with true if the message is supported now
+   */
+  _remap_unsupported_event(stored_event, app_version) {
+    const {conversation, data, from, primary_key, status, time} = stored_event;
+    const event = {conversation, data: {id: data.asset_id, sender: data.sender}, from, status, time};
+
+    const generic_message = z.proto.GenericMessage.decode(data.payload);
+    generic_message.raw_payload = data.payload;
+
+    return this.cryptography_repository.cryptography_mapper.map_generic_message(generic_message, event)
+    .then((mapped_event) => {
+      if (mapped_event.type === z.event.Client.CONVERSATION.UNSUPPORTED_MESSAGE) {
+        return this.conversation_service.update_unsupported_message_in_db(primary_key, app_version)
+        .then(() => false);
+      }
+
+      if (z.event.EventTypeHandling.STORE.includes(mapped_event.type)) {
+        return this.conversation_service.replace_event_in_db(primary_key, mapped_event)
+        .then((saved_event) => {
+          this._distribute_event(saved_event);
+          return true;
+        });
+      }
+
+      return this.conversation_service.delete_message_with_key_from_db(conversation, primary_key)
+      .then(() => {
+        if (mapped_event.type !== z.event.Client.CALL.E_CALL) {
+          this._distribute_event(mapped_event);
+        }
+        return true;
+      });
+    });
   }
 
   /**
@@ -459,29 +857,92 @@ z.event.EventRepository = class EventRepository {
     }
   }
 
+  /**
+   * Drop decrypted events that have already been handled.
+   * @note Reconnects and stream recovery may deliver the same message in different notifications.
+   *
+   * @private
+   * @param {Object} mapped_event - Decrypted and mapped event
+   * @returns {Promise} Resolves with the event if it has not been handled before
+   */
+  _check_for_duplicate_event(mapped_event) {
+    if (!mapped_event.id) {
+      return Promise.resolve(mapped_event);
+    }
+
+    return this.notification_service.is_handled_event(this._get_event_key(mapped_event))
+    .then((is_duplicate) => {
+      if (is_duplicate) {
+        this.logger.info(`Dropped duplicate '${mapped_event.type}' event '${mapped_event.id}' in conversation '${mapped_event.conversation}'`);
+        throw new z.event.EventError(z.event.EventError.TYPE.DUPLICATE_EVENT);
+      }
+      return mapped_event;
+    });
+  }
+
+  /**
+   * Drop non-encrypted events of a replayed notification that have already been handled.
+   * @note Events like member joins or renames are not stored and would otherwise be applied again.
+   *
+   * @private
+   * @param {JSON} event - Backend event extracted from notification stream
+   * @param {string} event_key - Key of the event within its notification
+   * @returns {Promise} Resolves with the event if it has not been handled before
+   */
+  _check_for_replayed_event(event, event_key) {
+    return this.notification_service.is_handled_event(event_key)
+    .then((is_duplicate) => {
+      if (is_duplicate) {
+        this.logger.info(`Dropped replayed '${event.type}' event '${event_key}'`);
+        throw new z.event.EventError(z.event.EventError.TYPE.DUPLICATE_EVENT);
+      }
+      return event;
+    });
+  }
+
+  /**
+   * Construct the key to identify a decrypted event.
+   * @note Asset messages share the nonce across several events, so the type is part of the key.
+   *
+   * @private
+   * @param {Object} mapped_event - Decrypted and mapped event
+   * @returns {string} Key of the event
+   */
+  _get_event_key({conversation, from, id, type}) {
+    return `${conversation}@${from}@${id}@${type}`;
+  }
+
   /**
    * Handle a single event from the notification stream or WebSocket.
    *
    * @private
    * @param {JSON} event - Backend event extracted from notification stream
+   * @param {string} [event_key] - Key of the event within its notification to drop it on replay
    * @returns {Promise} Resolves with the saved record or boolean true if the event was skipped
    */
-  _handle_event(event) {
+  _handle_event(event, event_key) {
     const {type: event_type} = event;
     if (z.event.EventTypeHandling.IGNORE.includes(event_type)) {
       this.logger.info(`Event ignored: '${event_type}'`, {event_json: JSON.stringify(event), event_object: event});
       return Promise.resolve(true);
     }
 
+    const is_encrypted_event = z.event.EventTypeHandling.DECRYPT.includes(event_type);
+
     return Promise.resolve()
     .then(() => {
-      if (z.event.EventTypeHandling.DECRYPT.includes(event_type)) {
+      if (event_key && !is_encrypted_event) {
+        return this._check_for_replayed_event(event, event_key);
+      }
+    })
+    .then(() => {
+      if (is_encrypted_event) {
         return this.cryptography_repository.decrypt_event(event)
         .catch((decryption_error) => {
           // Get error information
           const error_code = decryption_error.code || EVENT_CONFIG.UNKNOWN_DECRYPTION_ERROR_CODE;
           const {data: event_data, from: remote_user_id} = event;
-          const {sender: remote_client_id} = event_data.sender;
+          const {sender: remote_client_id} = event_data;
           const session_id = this.cryptography_repository._construct_session_id(remote_user_id, remote_client_id);
 
           // Handle error
@@ -504,7 +965,8 @@ z.event.EventRepository = class EventRepository {
           this.logger.warn(`Could not decrypt an event from client ID '${remote_client_id}' of user ID '${remote_user_id}' in session ID '${session_id}'.\nError Code: '${error_code}'\nError Message: ${decryption_error.message}`, decryption_error);
           this._report_decrypt_error(decryption_error, event);
 
-          return z.conversation.EventBuilder.build_unable_to_decrypt(event, decryption_error, error_code);
+          const should_reset_session = this.session_repair_policy.register_failure(session_id, decryption_error);
+          return z.conversation.EventBuilder.build_unable_to_decrypt(event, decryption_error, error_code, should_reset_session);
         })
         .then((message) => {
           if (message instanceof z.proto.GenericMessage) {
@@ -515,6 +977,12 @@ z.event.EventRepository = class EventRepository {
       }
       return event;
     })
+    .then((mapped_event) => {
+      if (is_encrypted_event) {
+        return this._check_for_duplicate_event(mapped_event);
+      }
+      return mapped_event;
+    })
     .then((mapped_event) => {
       if (z.event.EventTypeHandling.STORE.includes(mapped_event.type)) {
         return this.conversation_service.save_event(mapped_event);
@@ -525,7 +993,21 @@ z.event.EventRepository = class EventRepository {
       if (event_type === z.event.Client.CALL.E_CALL) {
         this._validate_call_event_lifetime(event);
       }
+      if (event_type === z.event.Backend.CONVERSATION.TYPING) {
+        this._validate_typing_event(event);
+      }
       this._distribute_event(saved_event);
+
+      let handled_event_key;
+      if (is_encrypted_event) {
+        handled_event_key = saved_event.id ? this._get_event_key(saved_event) : undefined;
+      } else {
+        handled_event_key = event_key;
+      }
+
+      if (handled_event_key) {
+        return this._save_handled_event(handled_event_key).then(() => saved_event);
+      }
       return saved_event;
     })
     .catch(function(error) {
@@ -534,7 +1016,9 @@ z.event.EventRepository = class EventRepository {
         z.cryptography.CryptographyError.TYPE.IGNORED_PREVIEW,
         z.cryptography.CryptographyError.TYPE.PREVIOUSLY_STORED,
         z.cryptography.CryptographyError.TYPE.UNHANDLED_TYPE,
+        z.event.EventError.TYPE.DUPLICATE_EVENT,
         z.event.EventError.TYPE.OUTDATED_E_CALL_EVENT,
+        z.event.EventError.TYPE.OUTDATED_TYPING_EVENT,
       ];
 
       if (!ignored_errors.includes(error.type)) {
@@ -557,6 +1041,7 @@ z.event.EventRepository = class EventRepository {
     const is_transient_event = transient === true;
 
     this.logger.info(`Handling notification '${id}' from '${source}' containing '${events.length}' events`, events);
+    amplify.publish(z.event.WebApp.EVENT.NOTIFICATION, {id, payload: events, transient});
 
     if (!events.length) {
       this.logger.warn('Notification payload does not contain any events');
@@ -566,7 +1051,25 @@ z.event.EventRepository = class EventRepository {
       return Promise.resolve(id);
     }
 
-    return Promise.all(events.map((event) => this._handle_event(event)))
+    const notification_key = `notification@${id}`;
+    return this.notification_service.is_handled_event(notification_key)
+    .then((is_duplicate) => {
+      if (is_duplicate) {
+        return this.logger.info(`Skipped notification '${id}' from '${source}' as it has already been handled`);
+      }
+
+      const handle_events = events.map((event, index) => {
+        const event_key = is_transient_event ? undefined : `${notification_key}@${index}`;
+        return this._handle_event(event, event_key);
+      });
+
+      return Promise.all(handle_events)
+      .then(() => {
+        if (!is_transient_event) {
+          return this._save_handled_event(notification_key);
+        }
+      });
+    })
     .then(() => {
       if (!is_transient_event) {
         this._update_last_notification_id(id);
@@ -579,6 +1082,19 @@ z.event.EventRepository = class EventRepository {
     });
   }
 
+  /**
+   * Mark an event or notification as handled.
+   * @note Failing to persist the key only risks handling the event again and must not fail the event itself.
+   *
+   * @private
+   * @param {string} event_key - Key of the handled event or notification
+   * @returns {Promise} Resolves when the key has been persisted or its persistence failed
+   */
+  _save_handled_event(event_key) {
+    return this.notification_service.save_handled_event(event_key)
+    .catch((error) => this.logger.warn(`Failed to mark event '${event_key}' as handled: ${error.message}`, error));
+  }
+
   /**
    * Report decryption error to Localytics and stack traces to Raygun.
    *
@@ -627,4 +1143,19 @@ z.event.EventRepository = class EventRepository {
     }
     return true;
   }
+
+  /**
+   * Typing events are only relevant while they are received live.
+   *
+   * @private
+   * @param {Object} event - Event of type 'conversation.typing'
+   * @returns {boolean} Returns true if event should be handled
+   */
+  _validate_typing_event(event) {
+    if (this.notification_handling_state() !== z.event.NOTIFICATION_HANDLING_STATE.WEB_SOCKET) {
+      this.logger.info(`Ignored '${event.type}' event in conversation '${event.conversation}' received while not being live`, event);
+      throw new z.event.EventError(z.event.EventError.TYPE.OUTDATED_TYPING_EVENT);
+    }
+    return true;
+  }
 };
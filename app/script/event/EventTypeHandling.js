@@ -38,7 +38,6 @@ z.event.EventTypeHandling = {
     z.event.Backend.CONVERSATION.ASSET_ADD,
     z.event.Backend.CONVERSATION.KNOCK,
     z.event.Backend.CONVERSATION.MESSAGE_ADD,
-    z.event.Backend.CONVERSATION.TYPING,
   ],
   STORE: [
     z.event.Backend.CONVERSATION.ASSET_ADD,
@@ -54,6 +53,7 @@ z.event.EventTypeHandling = {
     z.event.Client.CONVERSATION.LOCATION,
     z.event.Client.CONVERSATION.MISSED_MESSAGES,
     z.event.Client.CONVERSATION.UNABLE_TO_DECRYPT,
+    z.event.Client.CONVERSATION.UNSUPPORTED_MESSAGE,
     z.event.Client.CONVERSATION.VERIFICATION,
   ],
 };
@@ -80,6 +80,77 @@ z.event.NotificationService = class NotificationService {
     });
   }
 
+  /**
+   * Remove handled event keys that are older than the given timestamp.
+   * @param {number} timestamp - Keys handled before this point in time will be removed
+   * @returns {Promise} Resolves with the number of removed keys
+   */
+  delete_handled_events_before(timestamp) {
+    return this.storage_service.db[this.storage_service.OBJECT_STORE_HANDLED_EVENTS]
+    .where('time')
+    .below(timestamp)
+    .delete();
+  }
+
+  /**
+   * Remove all notifications from the buffer.
+   * @returns {Promise} Resolves when the buffer has been cleared
+   */
+  clear_buffered_notifications() {
+    return this.storage_service.db[this.storage_service.OBJECT_STORE_NOTIFICATION_BUFFER].clear();
+  }
+
+  /**
+   * Check whether an event has already been handled.
+   * @param {string} event_key - Key identifying the event
+   * @returns {Promise} Resolves with true if the event has been handled before
+   */
+  is_handled_event(event_key) {
+    return this.storage_service.load(this.storage_service.OBJECT_STORE_HANDLED_EVENTS, event_key)
+    .then((record) => record !== undefined);
+  }
+
+  /**
+   * Mark an event as handled.
+   * @param {string} event_key - Key identifying the event
+   * @returns {Promise} Resolves with the stored key
+   */
+  save_handled_event(event_key) {
+    return this.storage_service.save(this.storage_service.OBJECT_STORE_HANDLED_EVENTS, event_key, {time: Date.now()});
+  }
+
+  /**
+   * Append a notification to the buffer.
+   * @param {Object} notification - Notification to be buffered
+   * @returns {Promise} Resolves with the primary key of the buffered notification
+   */
+  save_buffered_notification(notification) {
+    return this.storage_service.db[this.storage_service.OBJECT_STORE_NOTIFICATION_BUFFER].add({notification: notification});
+  }
+
+  /**
+   * Remove the oldest notifications from the buffer.
+   * @param {number} limit - Maximum number of notifications to be removed
+   * @returns {Promise} Resolves with the removed notifications in the order they were buffered
+   */
+  take_buffered_notifications(limit) {
+    const buffer_store = this.storage_service.db[this.storage_service.OBJECT_STORE_NOTIFICATION_BUFFER];
+
+    return buffer_store.limit(limit).toArray()
+    .then((records) => {
+      if (!records.length) {
+        return [];
+      }
+
+      const last_primary_key = records[records.length - 1].primary_key;
+      return buffer_store
+      .where('primary_key')
+      .belowOrEqual(last_primary_key)
+      .delete()
+      .then(() => records.map((record) => record.notification));
+    });
+  }
+
   /**
    * Load last notifications id from storage.
    * @returns {Promise} Resolves with the stored last notification ID.
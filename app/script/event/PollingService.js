@@ -0,0 +1,133 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.event = z.event || {};
+
+const POLLING_SERVICE_CONFIG = {
+  POLL_INTERVAL: 5000,
+  POLL_SIZE: 500,
+};
+
+z.event.PollingService = class PollingService {
+  /**
+   * Construct a new Polling Service.
+   * @note Fallback transport that periodically fetches the notification stream when no WebSocket can be established.
+   *
+   * @param {z.event.NotificationService} notification_service - Service handling the notification stream
+   * @returns {PollingService} Polling Service to receive notifications without a WebSocket connection
+   */
+  constructor(notification_service) {
+    this.notification_service = notification_service;
+    this.logger = new z.util.Logger('z.event.PollingService', z.config.LOGGER.OPTIONS);
+
+    this.client_id = undefined;
+    this.last_notification_id = undefined;
+
+    this.on_notification = undefined;
+    this.poll_timeout_id = undefined;
+
+    this.connection_state = ko.observable(z.event.CONNECTION_STATE.OFFLINE);
+    this.connection_state.subscribe((connection_state) => {
+      this.logger.info(`Polling connection state changed to '${connection_state}'`);
+    });
+
+    return this;
+  }
+
+  /**
+   * Start polling the notification stream.
+   * @param {Function} on_notification - Function to be called on incoming notifications
+   * @returns {Promise} Resolves once the first poll has completed
+   */
+  connect(on_notification) {
+    this.reset(z.event.WebSocketService.CHANGE_TRIGGER.CLEANUP);
+
+    this.on_notification = on_notification;
+    this.connection_state(z.event.CONNECTION_STATE.CONNECTING);
+    this.logger.info(`Start polling notification stream since '${this.last_notification_id}'`);
+    return this._poll();
+  }
+
+  /**
+   * Stop polling the notification stream.
+   * @param {z.event.WebSocketService.CHANGE_TRIGGER} trigger - Trigger of the reset
+   * @returns {undefined} No return value
+   */
+  reset(trigger) {
+    if (this.on_notification) {
+      this.logger.info(`Polling reset triggered by '${trigger}'`);
+      window.clearTimeout(this.poll_timeout_id);
+      this.on_notification = undefined;
+    }
+    this.connection_state(z.event.CONNECTION_STATE.OFFLINE);
+  }
+
+  /**
+   * Fetch new notifications and schedule the next poll.
+   * @private
+   * @returns {Promise} Resolves when the notifications have been passed on
+   */
+  _poll() {
+    return this.notification_service.get_notifications(this.client_id, this.last_notification_id, POLLING_SERVICE_CONFIG.POLL_SIZE)
+    .catch((error_response) => {
+      // Notification ID does not belong to our client: we get a 404 AND notifications
+      if (error_response.notifications) {
+        amplify.publish(z.event.WebApp.CONVERSATION.MISSED_EVENTS);
+        return error_response;
+      }
+      throw error_response;
+    })
+    .then(({has_more, notifications}) => {
+      if (!this.on_notification) {
+        return;
+      }
+
+      this.connection_state(z.event.CONNECTION_STATE.ONLINE);
+      if (notifications.length) {
+        this.logger.info(`Received '${notifications.length}' notifications by polling`);
+        this.last_notification_id = notifications[notifications.length - 1].id;
+        notifications.forEach((notification) => this.on_notification(notification));
+      }
+      this._schedule_poll(has_more ? 0 : POLLING_SERVICE_CONFIG.POLL_INTERVAL);
+    })
+    .catch((error) => {
+      if (!this.on_notification) {
+        return;
+      }
+
+      this.logger.warn(`Failed to poll notification stream: ${error.message}`, error);
+      this.connection_state(z.event.CONNECTION_STATE.DEGRADED);
+      this._schedule_poll(POLLING_SERVICE_CONFIG.POLL_INTERVAL);
+    });
+  }
+
+  /**
+   * Schedule the next poll.
+   * @private
+   * @param {number} delay - Delay before the next poll in milliseconds
+   * @returns {undefined} No return value
+   */
+  _schedule_poll(delay) {
+    window.clearTimeout(this.poll_timeout_id);
+    this.poll_timeout_id = window.setTimeout(() => this._poll(), delay);
+  }
+};
@@ -81,6 +81,7 @@ z.event.WebApp = {
       RENEWED: 'wire.webapp.connection.access_token.renewed',
     },
     ONLINE: 'wire.webapp.connection.online',
+    STATE: 'wire.webapp.connection.state',
   },
   CONTENT: {
     SWITCH: 'wire.webapp.content.switch',
@@ -89,6 +90,8 @@ z.event.WebApp = {
   CONVERSATION: {
     ASSET: {
       CANCEL: 'wire.webapp.conversation.asset.cancel',
+      PAUSE: 'wire.webapp.conversation.asset.pause',
+      RESUME: 'wire.webapp.conversation.asset.resume',
     },
     DEBUG: 'wire.webapp.conversation.debug',
     DETAIL_VIEW: {
@@ -106,6 +109,7 @@ z.event.WebApp = {
     MAP_CONNECTION: 'wire.webapp.conversation.map_connection',
     MESSAGE: {
       ADDED: 'wire.webapp.conversation.message.added',
+      DETAILS: 'wire.webapp.conversation.message.details',
       EDIT: 'wire.webapp.conversation.message.edit',
       REMOVED: 'wire.webapp.conversation.message.removed',
     },
@@ -123,6 +127,7 @@ z.event.WebApp = {
   },
   EVENT: {
     INJECT: 'wire.webapp.event.inject',
+    NOTIFICATION: 'wire.webapp.event.notification',
     NOTIFICATION_HANDLING_STATE: 'wire.webapp.event.notification_handling',
   },
   EXTENSIONS: {
@@ -171,10 +176,12 @@ z.event.WebApp = {
   },
   PROPERTIES: {
     UPDATE: {
+      AUTO_RESET_SESSIONS: 'wire.webapp.properties.update.auto_reset_sessions',
       CONTACTS: 'wire.webapp.properties.update.contacts',
       HAS_CREATED_CONVERSATION: 'wire.webapp.properties.update.has_created_conversation',
       NOTIFICATIONS: 'wire.webapp.properties.update.notifications',
       PRIVACY: 'wire.webapp.properties.update.privacy',
+      READ_RECEIPTS: 'wire.webapp.properties.update.read_receipts',
       SOUND_ALERTS: 'wire.webapp.properties.update.sound_alerts',
     },
     UPDATED: 'wire.webapp.properties.updated',
@@ -217,6 +224,7 @@ z.event.WebApp = {
   },
   TELEMETRY: {
     BACKEND_REQUESTS: 'wire.webapp.telemetry.backend_requests',
+    NOTIFICATIONS_PROGRESS: 'wire.webapp.telemetry.notifications_progress',
   },
   USER: {
     CLIENT_ADDED: 'wire.webapp.user.client_added',
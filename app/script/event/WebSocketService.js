@@ -24,8 +24,11 @@ window.z.event = z.event || {};
 
 const WEB_SOCKET_SERVICE_CONFIG = {
   PING_INTERVAL: 30000,
-  PING_INTERVAL_THRESHOLD: 2000,
-  RECONNECT_INTERVAL: 15000,
+  PONG_TIMEOUT: 10000,
+  RECONNECT_BACKOFF_FACTOR: 2,
+  RECONNECT_INTERVAL_MAX: 5 * 60 * 1000, // 5 minutes
+  RECONNECT_INTERVAL_MIN: 1000,
+  RECONNECT_JITTER: 0.3,
 };
 
 z.event.WebSocketService = class WebSocketService {
@@ -39,6 +42,7 @@ z.event.WebSocketService = class WebSocketService {
       ONLINE: 'z.event.WebSocketService.CHANGE_TRIGGER.ONLINE',
       PAGE_NAVIGATION: 'z.event.WebSocketService.CHANGE_TRIGGER.PAGE_NAVIGATION',
       PING_INTERVAL: 'z.event.WebSocketService.CHANGE_TRIGGER.PING_INTERVAL',
+      PONG_TIMEOUT: 'z.event.WebSocketService.CHANGE_TRIGGER.PONG_TIMEOUT',
       READY_STATE: 'z.event.WebSocketService.CHANGE_TRIGGER.READY_STATE',
       WARNING_BAR: 'z.event.WebSocketService.CHANGE_TRIGGER.WARNING_BAR',
     };
@@ -61,11 +65,16 @@ z.event.WebSocketService = class WebSocketService {
     this.on_notification = undefined;
 
     this.ping_interval_id = undefined;
-    this.last_ping_time = undefined;
+    this.pong_timeout_id = undefined;
 
     this.reconnect_timeout_id = undefined;
     this.reconnect_count = 0;
 
+    this.connection_state = ko.observable(z.event.CONNECTION_STATE.OFFLINE);
+    this.connection_state.subscribe((connection_state) => {
+      this.logger.info(`WebSocket connection state changed to '${connection_state}'`);
+    });
+
     return this;
   }
 
@@ -86,6 +95,10 @@ z.event.WebSocketService = class WebSocketService {
         this.reset(z.event.WebSocketService.CHANGE_TRIGGER.CLEANUP);
       }
 
+      if (this.connection_state() === z.event.CONNECTION_STATE.OFFLINE) {
+        this.connection_state(z.event.CONNECTION_STATE.CONNECTING);
+      }
+
       this.socket = new WebSocket(this.connection_url);
       this.socket.binaryType = 'blob';
 
@@ -95,6 +108,7 @@ z.event.WebSocketService = class WebSocketService {
       this.socket.onopen = () => {
         this.logger.info(`Connected WebSocket to: ${this.client.web_socket_url}/await`);
         this.ping_interval_id = window.setInterval(this.send_ping.bind(this), WEB_SOCKET_SERVICE_CONFIG.PING_INTERVAL);
+        this.connection_state(z.event.CONNECTION_STATE.ONLINE);
         resolve();
       };
 
@@ -108,7 +122,13 @@ z.event.WebSocketService = class WebSocketService {
         this.reset(z.event.WebSocketService.CHANGE_TRIGGER.CLOSE, true);
       };
 
-      this.socket.onmessage = function(event) {
+      this.socket.onmessage = (event) => {
+        this._received_sign_of_life();
+
+        if (event.data === 'pong') {
+          return this.logger.info('Received pong from WebSocket');
+        }
+
         if (event.data instanceof Blob) {
           const blob_reader = new FileReader();
           blob_reader.onload = function() {
@@ -140,7 +160,7 @@ z.event.WebSocketService = class WebSocketService {
     if (!z.util.StorageUtil.get_value(z.storage.StorageKey.AUTH.ACCESS_TOKEN.EXPIRATION)) {
       this.logger.info(`Access token has to be refreshed before reconnecting the WebSocket triggered by '${trigger}'`);
       amplify.unsubscribeAll(z.event.WebApp.CONNECTION.ACCESS_TOKEN.RENEWED);
-      amplify.subscribe(z.event.WebApp.CONNECTION.ACCESS_TOKEN.RENEWED, this.pending_reconnect(trigger)).bind(this);
+      amplify.subscribe(z.event.WebApp.CONNECTION.ACCESS_TOKEN.RENEWED, () => this.pending_reconnect(trigger));
       return amplify.publish(z.event.WebApp.CONNECTION.ACCESS_TOKEN.RENEW, 'Attempted WebSocket reconnect');
     }
 
@@ -155,10 +175,14 @@ z.event.WebSocketService = class WebSocketService {
       });
     };
 
+    window.clearTimeout(this.reconnect_timeout_id);
     if (this.reconnect_count === 1) {
       return reconnect();
     }
-    this.reconnect_timeout_id = window.setTimeout(() => reconnect(), WEB_SOCKET_SERVICE_CONFIG.RECONNECT_INTERVAL);
+
+    const reconnect_interval = this._get_reconnect_interval(this.reconnect_count);
+    this.logger.info(`Scheduling WebSocket reconnect in '${reconnect_interval}' ms`);
+    this.reconnect_timeout_id = window.setTimeout(() => reconnect(), reconnect_interval);
   }
 
   /**
@@ -166,7 +190,6 @@ z.event.WebSocketService = class WebSocketService {
    * @returns {undefined} No return value
    */
   reconnected() {
-    amplify.publish(z.event.WebApp.WARNING.DISMISS, z.ViewModel.WarningType.CONNECTIVITY_RECONNECT);
     this.logger.warn('Re-established WebSocket connection. Recovering from Notification Stream...');
     amplify.publish(z.event.WebApp.CONNECTION.ONLINE);
   }
@@ -185,36 +208,73 @@ z.event.WebSocketService = class WebSocketService {
       this.socket.onclose = undefined;
       this.socket.close();
       window.clearInterval(this.ping_interval_id);
+      window.clearTimeout(this.pong_timeout_id);
       window.clearTimeout(this.reconnect_timeout_id);
     }
 
     if (reconnect) {
-      amplify.publish(z.event.WebApp.WARNING.SHOW, z.ViewModel.WarningType.CONNECTIVITY_RECONNECT);
-      this.reconnect(trigger);
+      this.connection_state(z.event.CONNECTION_STATE.DEGRADED);
+      return this.reconnect(trigger);
+    }
+
+    if (trigger !== z.event.WebSocketService.CHANGE_TRIGGER.CLEANUP) {
+      this.reconnect_count = 0;
+      this.connection_state(z.event.CONNECTION_STATE.OFFLINE);
     }
   }
 
   /**
    * Send a WebSocket ping.
+   * @note The backend answers with a pong. If it does not arrive within the timeout, we consider the connection dead.
    * @returns {undefined} No return value
    */
   send_ping() {
     if (this.socket.readyState === 1) {
-      const current_time = Date.now();
-      if (!this.last_ping_time) {
-        this.last_ping_time = current_time;
-      }
-      const ping_interval_diff = this.last_ping_time - current_time;
-
-      if (ping_interval_diff > (WEB_SOCKET_SERVICE_CONFIG.PING_INTERVAL + WEB_SOCKET_SERVICE_CONFIG.PING_INTERVAL_THRESHOLD)) {
-        this.logger.warn('Ping interval check failed');
-        return this.reconnect(z.event.WebSocketService.CHANGE_TRIGGER.PING_INTERVAL);
-      }
       this.logger.info('Sending ping to WebSocket');
-      return this.socket.send('Wire is so much nicer with internet!');
+      window.clearTimeout(this.pong_timeout_id);
+      this.pong_timeout_id = window.setTimeout(this._on_pong_timeout.bind(this), WEB_SOCKET_SERVICE_CONFIG.PONG_TIMEOUT);
+      return this.socket.send('ping');
     }
 
     this.logger.warn(`WebSocket connection is closed. Current ready state: ${this.socket.readyState}`);
-    this.reconnect(z.event.WebSocketService.CHANGE_TRIGGER.READY_STATE);
+    this.reset(z.event.WebSocketService.CHANGE_TRIGGER.READY_STATE, true);
+  }
+
+  /**
+   * Get the delay before the next reconnect attempt.
+   * @note Grows exponentially with the number of failed attempts and is randomized to avoid reconnect storms.
+   *
+   * @private
+   * @param {number} reconnect_count - Number of the reconnect attempt
+   * @returns {number} Delay in milliseconds
+   */
+  _get_reconnect_interval(reconnect_count) {
+    const exponential_interval = WEB_SOCKET_SERVICE_CONFIG.RECONNECT_INTERVAL_MIN * Math.pow(WEB_SOCKET_SERVICE_CONFIG.RECONNECT_BACKOFF_FACTOR, reconnect_count - 2);
+    const capped_interval = Math.min(exponential_interval, WEB_SOCKET_SERVICE_CONFIG.RECONNECT_INTERVAL_MAX);
+    const jitter = capped_interval * WEB_SOCKET_SERVICE_CONFIG.RECONNECT_JITTER * (Math.random() * 2 - 1);
+    return Math.round(capped_interval + jitter);
+  }
+
+  /**
+   * Reconnect when the backend did not answer our ping in time.
+   * @private
+   * @returns {undefined} No return value
+   */
+  _on_pong_timeout() {
+    this.logger.warn(`No pong received from WebSocket within '${WEB_SOCKET_SERVICE_CONFIG.PONG_TIMEOUT}' ms`);
+    this.reset(z.event.WebSocketService.CHANGE_TRIGGER.PONG_TIMEOUT, true);
+  }
+
+  /**
+   * Any message from the backend proves that the connection is alive.
+   * @private
+   * @returns {undefined} No return value
+   */
+  _received_sign_of_life() {
+    window.clearTimeout(this.pong_timeout_id);
+    this.pong_timeout_id = undefined;
+    if (this.connection_state() !== z.event.CONNECTION_STATE.ONLINE) {
+      this.connection_state(z.event.CONNECTION_STATE.ONLINE);
+    }
   }
 };
@@ -246,12 +246,16 @@ z.string.conversation_member_leave_left_you = ' left';
 z.string.conversation_member_leave_removed = ' removed %@names';
 z.string.conversation_member_leave_removed_you = ' removed %@names';
 z.string.conversation_message_delivered = 'Delivered';
+z.string.conversation_message_seen = 'Seen';
+z.string.conversation_message_sending = 'Sending';
 z.string.conversation_rename = ' renamed the conversation';
 z.string.conversation_rename_you = ' renamed the conversation';
 z.string.conversation_resume = 'Start a conversation with %@names';
 z.string.conversation_ping = ' pinged';
 z.string.conversation_ping_you = ' pinged';
 z.string.conversation_today = 'today';
+z.string.conversation_typing_many = '%@names are typing…';
+z.string.conversation_typing_one = '%@name is typing…';
 z.string.conversation_verified = 'Verified';
 z.string.conversation_voice_channel_deactivate = ' called';
 z.string.conversation_voice_channel_deactivate_you = ' called';
@@ -261,15 +265,29 @@ z.string.conversation_unable_to_decrypt_2 = '%@name´s device identity changed.
 z.string.conversation_unable_to_decrypt_link = 'Why?';
 z.string.conversation_unable_to_decrypt_error_message = 'Error';
 z.string.conversation_unable_to_decrypt_reset_session = 'Reset session';
+z.string.conversation_unable_to_decrypt_session_reset = 'Session was repaired automatically';
+z.string.conversation_unsupported_message = '%@name sent a message this version of Wire cannot show.';
+z.string.conversation_unsupported_message_update = 'Update Wire to see it.';
 z.string.conversation_missed_messages = 'You haven’t used this device for a while. Some messages may not appear here.';
 z.string.conversation_asset_uploading = 'Uploading…';
 z.string.conversation_asset_downloading = 'Downloading…';
 z.string.conversation_asset_upload_failed = 'Upload Failed';
+z.string.conversation_asset_upload_pause = 'Pause';
+z.string.conversation_asset_upload_paused = 'Upload Paused';
+z.string.conversation_asset_upload_resume = 'Resume';
 z.string.conversation_asset_upload_too_large = 'You can send files up to %no';
+z.string.conversation_asset_preview = 'Preview';
+z.string.conversation_asset_preview_failed = 'Preview not available';
+z.string.conversation_asset_preview_hide = 'Hide preview';
+z.string.conversation_asset_preview_no_events = 'No events';
+z.string.conversation_asset_preview_page = 'Page %page of %no';
+z.string.conversation_asset_preview_truncated = 'Only the beginning of the file is shown';
+z.string.conversation_asset_preview_untitled_event = 'Untitled event';
 z.string.conversation_playback_error = 'Unable to play';
 z.string.conversation_context_menu_edit = 'Edit';
 z.string.conversation_context_menu_delete = 'Delete for Me';
 z.string.conversation_context_menu_delete_everyone = 'Delete for Everyone';
+z.string.conversation_context_menu_details = 'Details';
 z.string.conversation_context_menu_download = 'Download';
 z.string.conversation_context_menu_like = 'Like';
 z.string.conversation_context_menu_unlike = 'Unlike';
@@ -279,6 +297,11 @@ z.string.conversation_likes_caption = '%@number people';
 z.string.conversation_send_pasted_file = 'Pasted image at %date';
 z.string.conversation_tweet_author = ' on Twitter';
 
+// Message details
+z.string.message_details_header = 'Message Details';
+z.string.message_details_delivered = 'Delivered to %no';
+z.string.message_details_pending = 'Not delivered yet to %no';
+
 // Collection
 z.string.collection_show_all = 'Show all %no';
 z.string.collection_section_links = 'Links';
@@ -286,6 +309,9 @@ z.string.collection_section_images = 'Pictures';
 z.string.collection_section_files = 'Files';
 z.string.collection_section_audio = 'Audio messages';
 
+// Detail View
+z.string.detail_view_show_message = 'Show in conversation';
+
 // Full Search
 z.string.fullsearch_placeholder = 'Search text messages';
 z.string.fullsearch_no_results = 'No results.';
@@ -293,6 +319,14 @@ z.string.fullsearch_no_results = 'No results.';
 // Archive
 z.string.archive_header = 'Archive';
 
+// Downloads
+z.string.downloads_list_failed = 'Failed';
+z.string.downloads_list_paused = 'Paused';
+z.string.downloads_list_queued = 'Waiting';
+z.string.downloads_list_retrying = 'Retrying soon';
+z.string.downloads_list_title = 'Downloads (%no)';
+z.string.downloads_list_unnamed = 'Media';
+
 // Conversations
 z.string.conversations_all_archived = 'Everything archived';
 z.string.conversations_contacts = 'Contacts';
@@ -405,6 +439,20 @@ z.string.people_button_unblock = 'Unblock';
 z.string.people_button_no = 'No';
 z.string.people_button_yes = 'Yes';
 
+// Device verification
+z.string.device_verification_camera_denied = 'Camera access was denied. Allow access to your camera or paste a screenshot of the code.';
+z.string.device_verification_camera_unavailable = 'No camera available. Paste a screenshot of the code instead.';
+z.string.device_verification_cancel = 'Cancel';
+z.string.device_verification_invalid_code = 'No valid code found. Try again with the code shown on the other device.';
+z.string.device_verification_match = 'Fingerprints match. The device is now verified.';
+z.string.device_verification_mismatch = 'Fingerprints don’t match. This device might not be who it claims to be and someone could be intercepting your messages. Do not verify it and check with its owner in person.';
+z.string.device_verification_mismatch_headline = 'Security warning';
+z.string.device_verification_other_device = 'This code belongs to a different device.';
+z.string.device_verification_scan_code = 'Scan code';
+z.string.device_verification_scan_detail = 'Hold the code shown on the other device in front of your camera or paste a screenshot of it.';
+z.string.device_verification_show_code = 'Show my code';
+z.string.device_verification_show_code_detail = 'Scan this code with the other device to verify this device.';
+
 // Settings
 z.string.preferences_about = 'About';
 z.string.preferences_account = 'Account';
@@ -467,11 +515,33 @@ z.string.preferences_options_contacts_detail = 'We use your contact data to conn
 z.string.preferences_options_data = 'Usage and crash reports';
 z.string.preferences_options_data_checkbox = 'Usage and crash reports';
 z.string.preferences_options_data_detail = 'Make Wire better by sending anonymous information.';
+z.string.preferences_options_history = 'History';
+z.string.preferences_options_history_backup = 'Back up history';
+z.string.preferences_options_history_detail = 'Save your conversations to an encrypted file to restore them on another browser or device. Use a passphrase with at least 8 characters.';
+z.string.preferences_options_history_error_backup = 'History could not be backed up.';
+z.string.preferences_options_history_error_format = 'This file is not a history backup.';
+z.string.preferences_options_history_error_passphrase = 'Wrong passphrase.';
+z.string.preferences_options_history_error_restore = 'History could not be restored.';
+z.string.preferences_options_history_error_user = 'This backup belongs to a different account.';
+z.string.preferences_options_history_error_version = 'This backup was created by a newer version of Wire.';
+z.string.preferences_options_history_passphrase_placeholder = 'Passphrase';
+z.string.preferences_options_history_reload = 'History restored. Reload to see it.';
+z.string.preferences_options_history_restore = 'Restore history';
+z.string.preferences_options_media_cache = 'Media cache';
+z.string.preferences_options_media_cache_clear = 'Clear media cache';
+z.string.preferences_options_media_cache_detail = 'Images and previews are kept on this device to load faster. Assets of recently viewed conversations are kept longest.';
+z.string.preferences_options_media_cache_size = '%size in %no files';
 z.string.preferences_options_notifications = 'Notifications';
 z.string.preferences_options_notifications_none = 'Off';
 z.string.preferences_options_notifications_obfuscate = 'Hide details';
 z.string.preferences_options_notifications_obfuscate_message = 'Show sender';
 z.string.preferences_options_notifications_on = 'Show sender and message';
+z.string.preferences_options_receipts = 'Read receipts';
+z.string.preferences_options_receipts_checkbox = 'Send and receive read receipts';
+z.string.preferences_options_receipts_detail = 'In 1:1 conversations, show when messages have been seen. If turned off, you won’t see read receipts from others either.';
+z.string.preferences_options_sessions = 'Sessions';
+z.string.preferences_options_sessions_checkbox = 'Repair sessions automatically';
+z.string.preferences_options_sessions_detail = 'Reset the session with a device when messages from it repeatedly fail to decrypt.';
 
 // Search
 z.string.search_group_hint = 'Keep typing or pick more people to create a group';
@@ -579,6 +649,9 @@ z.string.tooltip_conversation_picture = 'Add picture';
 z.string.tooltip_conversation_ping = 'Ping (%shortcut)';
 z.string.tooltip_conversation_video_call = 'Video Call';
 
+z.string.tooltip_detail_view_next = 'Next picture';
+z.string.tooltip_detail_view_previous = 'Previous picture';
+
 z.string.tooltip_conversations_archive = 'Archive (%shortcut)';
 z.string.tooltip_conversations_archived = 'Show archive (%no)';
 z.string.tooltip_conversations_more = 'More';
@@ -332,7 +332,7 @@ z.media.MediaStreamHandler = class MediaStreamHandler {
    * @returns {Promise} Resolves with the stream and its type
    */
   request_media_stream(media_type, media_stream_constraints) {
-    if (!this.media_repository.devices_handler.has_microphone()) {
+    if (media_stream_constraints.audio && !this.media_repository.devices_handler.has_microphone()) {
       return Promise.reject(new z.media.MediaError(z.media.MediaError.TYPE.MEDIA_STREAM_DEVICE, z.media.MediaType.VIDEO));
     }
     if (!this.media_repository.devices_handler.has_camera() && (media_type === z.media.MediaType.VIDEO)) {
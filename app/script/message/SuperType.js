@@ -39,5 +39,6 @@ z.message.SuperType = {
   SPECIAL: 'special',
   SYSTEM: 'system',
   UNABLE_TO_DECRYPT: 'unable-to-decrypt',
+  UNSUPPORTED: 'unsupported',
   VERIFICATION: 'verification',
 };
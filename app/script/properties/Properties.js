@@ -29,8 +29,12 @@ z.properties.Properties = class Properties {
       notifications: z.system_notification.SystemNotificationPreference.ON,
       privacy: {
         improve_wire: true,
+        read_receipts: false,
         report_errors: true,
       },
+      sessions: {
+        auto_reset: true,
+      },
       sound: {
         alerts: z.audio.AudioPreference.ALL,
       },
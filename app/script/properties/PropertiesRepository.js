@@ -124,6 +124,9 @@ z.properties.PropertiesRepository = class PropertiesRepository {
         this.logger.info(`Saved updated preference: '${properties_type}' - '${updated_preference}'`);
 
         switch (properties_type) {
+          case z.properties.PROPERTIES_TYPE.AUTO_RESET_SESSIONS:
+            amplify.publish(z.event.WebApp.PROPERTIES.UPDATE.AUTO_RESET_SESSIONS, updated_preference);
+            break;
           case z.properties.PROPERTIES_TYPE.CONTACT_IMPORT.GOOGLE:
           case z.properties.PROPERTIES_TYPE.CONTACT_IMPORT.MACOS:
             amplify.publish(z.event.WebApp.PROPERTIES.UPDATE.CONTACTS, updated_preference);
@@ -140,6 +143,9 @@ z.properties.PropertiesRepository = class PropertiesRepository {
           case z.properties.PROPERTIES_TYPE.PRIVACY:
             amplify.publish(z.event.WebApp.PROPERTIES.UPDATE.PRIVACY, updated_preference);
             break;
+          case z.properties.PROPERTIES_TYPE.READ_RECEIPTS:
+            amplify.publish(z.event.WebApp.PROPERTIES.UPDATE.READ_RECEIPTS, updated_preference);
+            break;
           case z.properties.PROPERTIES_TYPE.SOUND_ALERTS:
             amplify.publish(z.event.WebApp.PROPERTIES.UPDATE.SOUND_ALERTS, updated_preference);
             break;
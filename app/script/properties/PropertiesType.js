@@ -23,6 +23,7 @@ window.z = window.z || {};
 window.z.properties = z.properties || {};
 
 z.properties.PROPERTIES_TYPE = {
+  AUTO_RESET_SESSIONS: 'settings.sessions.auto_reset',
   CONTACT_IMPORT: {
     GOOGLE: 'contact_import.google',
     MACOS: 'contact_import.macos',
@@ -31,6 +32,7 @@ z.properties.PROPERTIES_TYPE = {
   HAS_CREATED_CONVERSATION: 'has_created_conversation',
   NOTIFICATIONS: 'settings.notifications',
   PRIVACY: 'settings.privacy.improve_wire',
+  READ_RECEIPTS: 'settings.privacy.read_receipts',
   SOUND_ALERTS: 'settings.sound.alerts',
   VERSION: 'version',
 };
@@ -28,6 +28,9 @@ z.telemetry.app_init.AppInitTelemetry = class AppInitTelemetry {
     this.logger = new z.util.Logger('z.telemetry.app_init.AppInitTelemetry', z.config.LOGGER.OPTIONS);
     this.timings = new z.telemetry.app_init.AppInitTimings();
     this.statistics = new z.telemetry.app_init.AppInitStatistics();
+    this.notification_pages = 0;
+
+    amplify.subscribe(z.event.WebApp.TELEMETRY.NOTIFICATIONS_PROGRESS, this.update_notifications_progress.bind(this));
   }
 
   add_statistic(statistic, value, bucket_size) {
@@ -66,4 +69,21 @@ z.telemetry.app_init.AppInitTelemetry = class AppInitTelemetry {
   time_step(step) {
     return this.timings.time_step(step);
   }
+
+  /**
+   * Report progress on the loading screen once a page of the notification stream has been handled.
+   * @note The size of the stream is only known once its last page has been fetched, so each page covers half of the remaining progress.
+   *
+   * @param {number} notifications_handled - Number of notifications handled so far
+   * @param {number} notifications_total - Number of notifications fetched so far
+   * @param {boolean} has_more - More pages remain on the notification stream
+   * @returns {undefined} No return value
+   */
+  update_notifications_progress(notifications_handled, notifications_total, has_more) {
+    this.notification_pages++;
+
+    const progress = has_more ? 95 - 70 / Math.pow(2, this.notification_pages) : 95;
+    const total = has_more ? `${notifications_total}+` : notifications_total;
+    amplify.publish(z.event.WebApp.APP.UPDATE_PROGRESS, progress, z.string.init_events_progress, [notifications_handled, total]);
+  }
 };
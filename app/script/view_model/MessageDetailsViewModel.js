@@ -0,0 +1,118 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.ViewModel = z.ViewModel || {};
+
+z.ViewModel.MessageDetailsViewModel = class MessageDetailsViewModel {
+  /**
+   * View model for the details of a sent message.
+   * @note Lists which participants of the conversation confirmed the delivery of the message.
+   *
+   * @param {string} element_id - HTML selector
+   */
+  constructor(element_id) {
+    this.modal = undefined;
+    this.conversation_et = ko.observable();
+    this.message_et = ko.observable();
+
+    this.delivered_user_ets = ko.pureComputed(() => {
+      return this._get_participants().filter((user_et) => this._is_confirmed_by(user_et));
+    });
+    this.pending_user_ets = ko.pureComputed(() => {
+      return this._get_participants().filter((user_et) => !this._is_confirmed_by(user_et));
+    });
+
+    amplify.subscribe(z.event.WebApp.CONVERSATION.MESSAGE.DETAILS, this.show.bind(this));
+    this.message_removed = this.message_removed.bind(this);
+
+    ko.applyBindings(this, document.getElementById(element_id));
+  }
+
+  /**
+   * Show the details of a message.
+   *
+   * @param {z.entity.Conversation} conversation_et - Conversation the message was sent in
+   * @param {z.entity.ContentMessage} message_et - Message to show details for
+   * @returns {undefined} No return value
+   */
+  show(conversation_et, message_et) {
+    this.conversation_et(conversation_et);
+    this.message_et(message_et);
+
+    amplify.subscribe(z.event.WebApp.CONVERSATION.MESSAGE.REMOVED, this.message_removed);
+    if (!this.modal) {
+      this.modal = new zeta.webapp.module.Modal('#message-details', () => this._hide_callback());
+    }
+    this.modal.show();
+  }
+
+  /**
+   * Close the message details.
+   * @returns {undefined} No return value
+   */
+  click_on_close() {
+    this.modal.hide();
+  }
+
+  /**
+   * Close the message details if the shown message was removed.
+   * @param {string} message_id - ID of the removed message
+   * @returns {undefined} No return value
+   */
+  message_removed(message_id) {
+    if (this.message_et() && this.message_et().id === message_id) {
+      this.modal.hide();
+    }
+  }
+
+  /**
+   * Get the users participating in the conversation of the message.
+   * @private
+   * @returns {Array<z.entity.User>} Participants of the conversation
+   */
+  _get_participants() {
+    return this.conversation_et() ? this.conversation_et().participating_user_ets() : [];
+  }
+
+  /**
+   * Reset the shown message once the modal has been hidden.
+   * @private
+   * @returns {undefined} No return value
+   */
+  _hide_callback() {
+    amplify.unsubscribe(z.event.WebApp.CONVERSATION.MESSAGE.REMOVED, this.message_removed);
+    this.conversation_et(undefined);
+    this.message_et(undefined);
+  }
+
+  /**
+   * Check whether a user confirmed the delivery of the message.
+   *
+   * @private
+   * @param {z.entity.User} user_et - Participant of the conversation
+   * @returns {boolean} Delivery was confirmed by the user
+   */
+  _is_confirmed_by(user_et) {
+    const confirmed_user_ids = this.message_et().confirmed_user_ids();
+    return confirmed_user_ids.includes(user_et.id);
+  }
+};
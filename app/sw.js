@@ -21,20 +21,31 @@
   'use strict';
 
   importScripts('/worker/sw-toolbox.js');
-  importScripts('/worker/lru-cache-strategy.js');
+  importScripts('/worker/asset-cache-strategy.js');
 
+  // writes within this time after the first one are evicted together
+  const ASSET_CACHE_EVICTION_DELAY = 5000;
+  const ASSET_CACHE_MAX_BYTES = 500 * 1024 * 1024;
   const ASSET_CACHE_MAX_ITEMS = 1000;
-  const CACHE_VERSION = 2;
+  // share of the storage quota the asset cache may fill together with all other storage of the origin
+  const ASSET_CACHE_QUOTA_RATIO = 0.5;
+  const CACHE_VERSION = 3;
+  // cache names are shared with z.assets.AssetCacheRepository
   const CURRENT_CACHES = {
-    asset: `asset: 'asset-cache-v${CACHE_VERSION}`,
+    asset: `asset-cache-v${CACHE_VERSION}`,
+    asset_meta: 'asset-cache-meta-v1',
   };
 
   global.toolbox.options.debug = false;
   global.toolbox.router.default = global.toolbox.networkOnly;
-  global.toolbox.router.get(/forceCaching=true/, global.cacheLRU, {
+  global.toolbox.router.get(/forceCaching=true/, global.cacheAssets, {
     cache: {
-      name: CURRENT_CACHES.asset,
+      evictionDelay: ASSET_CACHE_EVICTION_DELAY,
+      maxBytes: ASSET_CACHE_MAX_BYTES,
       maxEntries: ASSET_CACHE_MAX_ITEMS,
+      metaName: CURRENT_CACHES.asset_meta,
+      name: CURRENT_CACHES.asset,
+      quotaRatio: ASSET_CACHE_QUOTA_RATIO,
     },
   });
 
@@ -0,0 +1,199 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+((global) => {
+  'use strict';
+
+  // Header names and storage keys are shared with z.assets.AssetCacheRepository
+  const HEADER = {
+    CONVERSATION: 'X-Asset-Conversation',
+    RETENTION: 'X-Asset-Retention',
+    SIZE: 'X-Asset-Size',
+  };
+  const PINNED_CONVERSATIONS_KEY = '/asset-cache/pinned-conversations';
+  const RETENTION = {
+    ETERNAL: 'eternal',
+    PERSISTENT: 'persistent',
+    VOLATILE: 'volatile',
+  };
+
+  // Assets with a lower rank are evicted first. Volatile assets are never cached.
+  const EVICTION_RANK = {
+    [RETENTION.PERSISTENT]: 0,
+    [RETENTION.ETERNAL]: 1,
+  };
+
+  let isEvictionRequested = false;
+  let isEvictionRunning = false;
+  let pendingEviction = undefined;
+
+  function cacheRequest(cache, cacheKey, response) {
+    return cache
+    .put(cacheKey, response.clone())
+    .catch((error) => console.warn(`Failed to cache asset: ${error.message}`))
+    .then(() => response);
+  }
+
+  function createCachedResponse(request, response) {
+    const url = new URL(request.url);
+
+    return response.blob().then((blob) => {
+      const headers = new Headers(response.headers);
+      headers.set(HEADER.CONVERSATION, url.searchParams.get('conversation') || '');
+      headers.set(HEADER.RETENTION, getRetention(request));
+      headers.set(HEADER.SIZE, `${blob.size}`);
+
+      return new Response(blob, {headers, status: response.status, statusText: response.statusText});
+    });
+  }
+
+  function evictEntries(cache, options) {
+    return Promise.all([loadEntries(cache), loadPinnedConversations(options.metaName)])
+    .then(([entries, pinnedConversations]) => {
+      const cacheSize = entries.reduce((size, entry) => size + entry.size, 0);
+
+      return getSizeBudget(cacheSize, options).then((sizeBudget) => {
+        let remainingEntries = entries.length;
+        let remainingSize = cacheSize;
+
+        // Cache keys are ordered from least to most recently used. Entries of pinned conversations go last but still count against the budget.
+        const evictableEntries = entries
+          .map((entry, index) => Object.assign(entry, {index, isPinned: pinnedConversations.includes(entry.conversation)}))
+          .sort((entryA, entryB) => {
+            return entryA.isPinned - entryB.isPinned || getEvictionRank(entryA) - getEvictionRank(entryB) || entryA.index - entryB.index;
+          });
+
+        const evictedEntries = [];
+        for (const entry of evictableEntries) {
+          if (remainingSize <= sizeBudget && remainingEntries <= options.maxEntries) {
+            break;
+          }
+
+          evictedEntries.push(cache.delete(entry.request));
+          remainingEntries -= 1;
+          remainingSize -= entry.size;
+        }
+
+        return Promise.all(evictedEntries);
+      });
+    });
+  }
+
+  // Only one eviction runs at a time. Writes during the delay are covered by the pending eviction, writes during a run queue one more.
+  function scheduleEviction(cache, options) {
+    if (pendingEviction) {
+      isEvictionRequested = isEvictionRequested || isEvictionRunning;
+      return pendingEviction;
+    }
+
+    pendingEviction = new Promise((resolve) => global.setTimeout(resolve, options.evictionDelay))
+    .then(() => {
+      isEvictionRunning = true;
+      return evictEntries(cache, options);
+    })
+    .catch((error) => console.warn(`Failed to evict assets: ${error.message}`))
+    .then(() => {
+      isEvictionRunning = false;
+      pendingEviction = undefined;
+
+      if (isEvictionRequested) {
+        isEvictionRequested = false;
+        return scheduleEviction(cache, options);
+      }
+    });
+
+    return pendingEviction;
+  }
+
+  function getEvictionRank(entry) {
+    const rank = EVICTION_RANK[entry.retention];
+    return rank === undefined ? EVICTION_RANK[RETENTION.PERSISTENT] : rank;
+  }
+
+  function getRetention(request) {
+    return new URL(request.url).searchParams.get('retention') || RETENTION.PERSISTENT;
+  }
+
+  function getSizeBudget(cacheSize, options) {
+    const storage = global.navigator.storage;
+    if (!storage || !storage.estimate) {
+      return Promise.resolve(options.maxBytes);
+    }
+
+    return storage.estimate()
+    .then(({quota, usage}) => {
+      const availableSize = (quota * options.quotaRatio) - (usage - cacheSize);
+      return Math.max(0, Math.min(options.maxBytes, availableSize));
+    })
+    .catch(() => options.maxBytes);
+  }
+
+  function loadEntries(cache) {
+    return cache.keys().then((requests) => {
+      return Promise.all(requests.map((request) => {
+        return cache.match(request).then((response) => ({
+          conversation: response.headers.get(HEADER.CONVERSATION),
+          request: request,
+          retention: response.headers.get(HEADER.RETENTION),
+          size: parseInt(response.headers.get(HEADER.SIZE), 10) || 0,
+        }));
+      }));
+    });
+  }
+
+  function loadPinnedConversations(metaCacheName) {
+    return global.caches.open(metaCacheName)
+    .then((cache) => cache.match(PINNED_CONVERSATIONS_KEY))
+    .then((response) => (response ? response.json() : []))
+    .catch(() => []);
+  }
+
+  function stripSearchParameters(url) {
+    const strippedUrl = new URL(url);
+    strippedUrl.search = '';
+    return strippedUrl.toString();
+  }
+
+  global.cacheAssets = function(request, values, options) {
+    const cacheOptions = options.cache;
+    const cacheKey = stripSearchParameters(request.url);
+
+    return global.caches.open(cacheOptions.name).then((cache) => {
+      return cache.match(cacheKey).then((cachedResponse) => {
+        if (cachedResponse) {
+          return cacheRequest(cache, cacheKey, cachedResponse);
+        }
+
+        return global.fetch(request).then((response) => {
+          if (response.ok && getRetention(request) !== RETENTION.VOLATILE) {
+            createCachedResponse(request, response.clone())
+            .then((responseToCache) => cache.put(cacheKey, responseToCache))
+            .then(() => scheduleEviction(cache, cacheOptions))
+            .catch((error) => console.warn(`Failed to cache asset: ${error.message}`));
+          }
+          return response;
+        });
+      });
+    });
+  };
+
+  // Exposed for unit tests
+  global.assetCacheEviction = {evictEntries, scheduleEviction};
+
+})(self);
@@ -0,0 +1,147 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+((global) => {
+  'use strict';
+
+  // Libraries are built for the window context
+  global.window = global;
+
+  global.importScripts(
+    '../ext/js/dexie.js',
+    '../ext/js/wire-webapp-lru-cache/LRUCache.js',
+    '../ext/js/libsodium.js/sodium.min.js',
+    '../ext/js/wire-webapp-cbor/wire-webapp-cbor.js',
+    '../ext/js/wire-webapp-proteus/proteus.js',
+    '../ext/js/wire-webapp-cryptobox/wire-webapp-cryptobox.js'
+  );
+
+  let box = undefined;
+  let db = undefined;
+
+  function describe_session(cryptobox_session) {
+    return {
+      fingerprint_remote: cryptobox_session.fingerprint_remote(),
+      id: cryptobox_session.id,
+    };
+  }
+
+  function serialize_error(error) {
+    let category = undefined;
+
+    if (error instanceof global.Proteus.errors.DecryptError) {
+      category = 'DecryptError';
+    } else if (error instanceof global.Proteus.errors.DecodeError) {
+      category = 'DecodeError';
+    } else if (error instanceof global.cryptobox.store.RecordNotFoundError) {
+      category = 'RecordNotFoundError';
+    }
+
+    return {
+      category: category,
+      code: error.code,
+      message: error.message,
+      name: error.constructor.name,
+    };
+  }
+
+  // Only registered outside of production to let QA corrupt sessions
+  const debug_handlers = {
+    break_session(session_id) {
+      return box.session_load(session_id)
+      .then((cryptobox_session) => {
+        cryptobox_session.session.session_states = {};
+        return box.session_save(cryptobox_session);
+      })
+      .then(() => session_id);
+    },
+  };
+
+  const handlers = {
+    decrypt(session_id, cipher_text) {
+      return box.decrypt(session_id, cipher_text);
+    },
+
+    encrypt(session_id, plaintext) {
+      return box.encrypt(session_id, plaintext);
+    },
+
+    get_serialized_last_resort_prekey() {
+      return box.get_serialized_last_resort_prekey();
+    },
+
+    get_serialized_standard_prekeys() {
+      return box.get_serialized_standard_prekeys();
+    },
+
+    init(db_name, minimum_pre_keys, is_debug_enabled) {
+      if (is_debug_enabled) {
+        Object.assign(handlers, debug_handlers);
+      }
+
+      // Open the database in dynamic mode to use the schema defined by the main thread
+      db = new global.Dexie(db_name);
+
+      return db.open()
+      .then(() => {
+        box = new global.cryptobox.Cryptobox(new global.cryptobox.store.IndexedDB(db), minimum_pre_keys);
+
+        box.on(global.cryptobox.Cryptobox.TOPIC.NEW_PREKEYS, (pre_keys) => {
+          const serialized_pre_keys = pre_keys.map((pre_key) => pre_key.serialise());
+          global.postMessage({data: serialized_pre_keys, topic: global.cryptobox.Cryptobox.TOPIC.NEW_PREKEYS});
+        });
+
+        box.on(global.cryptobox.Cryptobox.TOPIC.NEW_SESSION, (session_id) => {
+          global.postMessage({data: session_id, topic: global.cryptobox.Cryptobox.TOPIC.NEW_SESSION});
+        });
+
+        return box.init();
+      })
+      .then(() => box.identity.public_key.serialise());
+    },
+
+    session_delete(session_id) {
+      return box.session_delete(session_id);
+    },
+
+    session_from_prekey(session_id, pre_key_bundle) {
+      return box.session_from_prekey(session_id, pre_key_bundle)
+      .then(describe_session);
+    },
+
+    session_load(session_id) {
+      return box.session_load(session_id)
+      .then(describe_session);
+    },
+  };
+
+  global.addEventListener('message', (event) => {
+    const {args, id, method} = event.data;
+
+    Promise.resolve()
+    .then(() => {
+      if (!handlers[method]) {
+        throw new Error(`Unknown method '${method}'`);
+      }
+      return handlers[method](...args);
+    })
+    .then((result) => global.postMessage({id, result}))
+    .catch((error) => global.postMessage({error: serialize_error(error), id}));
+  });
+})(self);
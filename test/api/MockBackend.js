@@ -0,0 +1,599 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.test = z.test || {};
+
+const MOCK_BACKEND_CONFIG = {
+  NOTIFICATIONS_PAGE_SIZE: 500,
+};
+
+z.test.MockBackend = class MockBackend {
+  /**
+   * Create a random client ID in the format used by the backend.
+   * @returns {string} Client ID
+   */
+  static create_client_id() {
+    return z.util.create_random_uuid()
+    .replace(/-/g, '')
+    .substr(0, 16);
+  }
+
+  /**
+   * Construct an in-memory backend that answers the REST and WebSocket requests of the app.
+   *
+   * @note Requests of the app are intercepted with a sinon fake server, simulated users talk to the backend directly.
+   * @param {string} rest_url - Base URL of the REST API the app is configured with
+   * @param {string} self_user_id - ID of the user the app is logged in with
+   */
+  constructor(rest_url, self_user_id) {
+    this.rest_url = rest_url;
+    this.self_user_id = self_user_id;
+    this.logger = new z.util.Logger('z.test.MockBackend', z.config.LOGGER.OPTIONS);
+
+    this.conversations = {};
+    this.notifications = {};
+    this.requests = [];
+    this.users = {};
+    this.web_sockets = {};
+
+    this.drop_pongs = false;
+    this.server = undefined;
+    this.web_socket_constructor = undefined;
+
+    this.routes = [
+      ['GET', /^\/clients$/, this._get_clients],
+      ['POST', /^\/clients$/, this._post_clients],
+      ['DELETE', /^\/clients\/([^/]+)$/, this._delete_client],
+      ['GET', /^\/clients\/([^/]+)$/, this._get_client],
+      ['PUT', /^\/clients\/([^/]+)$/, this._put_client],
+      ['POST', /^\/conversations\/([^/]+)\/otr\/messages$/, this._post_otr_messages],
+      ['GET', /^\/notifications$/, this._get_notifications],
+      ['GET', /^\/notifications\/last$/, this._get_notifications_last],
+      ['GET', /^\/users$/, this._get_users],
+      ['POST', /^\/users\/prekeys$/, this._post_users_prekeys],
+      ['GET', /^\/users\/([^/]+)$/, this._get_user],
+      ['GET', /^\/users\/([^/]+)\/clients$/, this._get_user_clients],
+    ];
+  }
+
+  /**
+   * Intercept the requests and WebSocket connections of the app.
+   * @returns {z.test.MockBackend} The backend
+   */
+  install() {
+    this.server = window.sinon.fakeServer.create();
+    this.server.respondImmediately = true;
+    this.server.respondWith((request) => this._handle_request(request));
+
+    this.web_socket_constructor = window.WebSocket;
+    const backend = this;
+    window.WebSocket = function(url) {
+      return new z.test.MockWebSocket(backend, url);
+    };
+
+    return this;
+  }
+
+  /**
+   * Restore the network access of the app.
+   * @returns {undefined} No return value
+   */
+  uninstall() {
+    Object.keys(this.web_sockets).forEach((client_id) => this.web_sockets[client_id].close());
+
+    if (this.server) {
+      this.server.restore();
+      this.server = undefined;
+    }
+
+    if (this.web_socket_constructor) {
+      window.WebSocket = this.web_socket_constructor;
+      this.web_socket_constructor = undefined;
+    }
+  }
+
+
+  //##############################################################################
+  // Backend state
+  //##############################################################################
+
+  /**
+   * Add a client to a user.
+   *
+   * @param {string} user_id - ID of user owning the client
+   * @param {string} client_id - ID of client
+   * @param {Object} last_resort_pre_key - Serialized last resort pre-key of the client
+   * @param {Array<Object>} pre_keys - Serialized pre-keys of the client
+   * @param {z.test.SimulatedClient} [simulated_client] - Simulated client that receives the messages
+   * @returns {Object} Client record
+   */
+  add_client(user_id, client_id, last_resort_pre_key, pre_keys, simulated_client) {
+    const user = this._get_user_record(user_id);
+
+    user.clients[client_id] = {
+      class: 'desktop',
+      id: client_id,
+      last_resort_pre_key: last_resort_pre_key,
+      pre_keys: pre_keys.slice(),
+      simulated_client: simulated_client,
+      time: new Date().toISOString(),
+      type: 'permanent',
+    };
+    this.notifications[client_id] = this.notifications[client_id] || [];
+
+    return user.clients[client_id];
+  }
+
+  /**
+   * Add a conversation.
+   *
+   * @param {string} conversation_id - ID of conversation
+   * @param {Array<string>} user_ids - IDs of the conversation members including the self user
+   * @returns {Object} Conversation record
+   */
+  add_conversation(conversation_id, user_ids) {
+    this.conversations[conversation_id] = {
+      id: conversation_id,
+      members: user_ids.slice(),
+    };
+    return this.conversations[conversation_id];
+  }
+
+  /**
+   * Add a notification to the stream of a client and push it if the client is connected.
+   *
+   * @param {string} client_id - ID of client to receive the notification
+   * @param {Array<Object>} events - Events contained in the notification
+   * @param {boolean} [transient=false] - Transient notifications are not stored in the stream
+   * @returns {Object} Notification
+   */
+  add_notification(client_id, events, transient = false) {
+    const notification = {
+      id: z.util.create_random_uuid(),
+      payload: events,
+    };
+
+    if (!transient) {
+      this.notifications[client_id] = this.notifications[client_id] || [];
+      this.notifications[client_id].push(notification);
+    }
+
+    const web_socket = this.web_sockets[client_id];
+    if (web_socket) {
+      window.setTimeout(() => web_socket.push(Object.assign({transient: transient}, notification)));
+    }
+
+    return notification;
+  }
+
+  /**
+   * Add pre-keys to a client.
+   *
+   * @param {string} user_id - ID of user owning the client
+   * @param {string} client_id - ID of client
+   * @param {Array<Object>} pre_keys - Serialized pre-keys
+   * @returns {undefined} No return value
+   */
+  add_pre_keys(user_id, client_id, pre_keys) {
+    const client = this._get_client_record(user_id, client_id);
+    if (client) {
+      client.pre_keys = client.pre_keys.concat(pre_keys);
+    }
+  }
+
+  /**
+   * Add a user.
+   *
+   * @param {string} user_id - ID of user
+   * @param {string} name - Name of user
+   * @returns {Object} User record
+   */
+  add_user(user_id, name) {
+    this.users[user_id] = this.users[user_id] || {
+      accent_id: 1,
+      clients: {},
+      id: user_id,
+      name: name,
+    };
+    return this.users[user_id];
+  }
+
+  /**
+   * Claim a pre-key of a client to initialize a session with it.
+   * @note The last resort pre-key is handed out once all other pre-keys are used up.
+   *
+   * @param {string} user_id - ID of user owning the client
+   * @param {string} client_id - ID of client
+   * @returns {Object|undefined} Serialized pre-key or undefined if the client is unknown
+   */
+  claim_pre_key(user_id, client_id) {
+    const client = this._get_client_record(user_id, client_id);
+    if (client) {
+      return client.pre_keys.length ? client.pre_keys.shift() : client.last_resort_pre_key;
+    }
+  }
+
+  /**
+   * Create a simulated user with one client.
+   * @param {string} name - Name of user
+   * @returns {Promise} Resolves with the z.test.SimulatedUser
+   */
+  create_simulated_user(name) {
+    const simulated_user = new z.test.SimulatedUser(this, z.util.create_random_uuid(), name);
+    this.add_user(simulated_user.id, name);
+
+    return simulated_user.add_client()
+    .then(() => simulated_user);
+  }
+
+  /**
+   * Get the clients that should receive a message in a conversation.
+   *
+   * @param {string} conversation_id - ID of conversation
+   * @param {string} sender_client_id - ID of sending client which is excluded
+   * @returns {Object} User client map
+   */
+  get_conversation_clients(conversation_id, sender_client_id) {
+    const user_client_map = {};
+
+    this.conversations[conversation_id].members.forEach((user_id) => {
+      const client_ids = Object.keys(this._get_user_record(user_id).clients)
+      .filter((client_id) => client_id !== sender_client_id);
+
+      if (client_ids.length) {
+        user_client_map[user_id] = client_ids;
+      }
+    });
+
+    return user_client_map;
+  }
+
+  /**
+   * Post an encrypted message to a conversation.
+   *
+   * @param {string} conversation_id - ID of conversation
+   * @param {string} user_id - ID of sending user
+   * @param {Object} payload - Encrypted message payload
+   * @param {Array<string>|boolean} [precondition_option=false] - Level that backend checks for missing clients
+   * @returns {Promise} Resolves with the client mismatch if the message was accepted, rejects with it otherwise
+   */
+  post_otr_message(conversation_id, user_id, payload, precondition_option = false) {
+    const [status, client_mismatch] = this._send_otr_message(conversation_id, user_id, payload, precondition_option);
+    return status === 201 ? Promise.resolve(client_mismatch) : Promise.reject(client_mismatch);
+  }
+
+  /**
+   * Remove a client from a user.
+   *
+   * @param {string} user_id - ID of user owning the client
+   * @param {string} client_id - ID of client
+   * @returns {undefined} No return value
+   */
+  remove_client(user_id, client_id) {
+    delete this._get_user_record(user_id).clients[client_id];
+    delete this.notifications[client_id];
+
+    if (this.web_sockets[client_id]) {
+      this.web_sockets[client_id].close();
+    }
+  }
+
+  _get_client_record(user_id, client_id) {
+    const user = this.users[user_id];
+    return user ? user.clients[client_id] : undefined;
+  }
+
+  _get_user_record(user_id) {
+    const user = this.users[user_id];
+    if (!user) {
+      throw new Error(`Unknown user '${user_id}'`);
+    }
+    return user;
+  }
+
+  _find_user_of_client(client_id) {
+    return Object.keys(this.users).find((user_id) => this.users[user_id].clients[client_id]);
+  }
+
+  _send_otr_message(conversation_id, user_id, payload, precondition_option) {
+    const conversation = this.conversations[conversation_id];
+    if (!conversation) {
+      return [404, {code: 404, label: 'no-conversation', message: 'Conversation not found'}];
+    }
+
+    const client_mismatch = {
+      deleted: {},
+      missing: {},
+      redundant: {},
+      time: new Date().toISOString(),
+    };
+    const add_to_map = (user_client_map, recipient_user_id, client_id) => {
+      user_client_map[recipient_user_id] = user_client_map[recipient_user_id] || [];
+      user_client_map[recipient_user_id].push(client_id);
+    };
+
+    const expected_clients = this.get_conversation_clients(conversation_id, payload.sender);
+    Object.keys(expected_clients).forEach((recipient_user_id) => {
+      const recipient_clients = payload.recipients[recipient_user_id] || {};
+      expected_clients[recipient_user_id]
+      .filter((client_id) => !recipient_clients[client_id])
+      .forEach((client_id) => add_to_map(client_mismatch.missing, recipient_user_id, client_id));
+    });
+
+    Object.keys(payload.recipients).forEach((recipient_user_id) => {
+      Object.keys(payload.recipients[recipient_user_id]).forEach((client_id) => {
+        if (!conversation.members.includes(recipient_user_id)) {
+          add_to_map(client_mismatch.redundant, recipient_user_id, client_id);
+        } else if (!this._get_client_record(recipient_user_id, client_id)) {
+          add_to_map(client_mismatch.deleted, recipient_user_id, client_id);
+        }
+      });
+    });
+
+    let relevant_missing_user_ids = Object.keys(client_mismatch.missing);
+    if (Array.isArray(precondition_option)) {
+      relevant_missing_user_ids = relevant_missing_user_ids.filter((missing_user_id) => precondition_option.includes(missing_user_id));
+    } else if (precondition_option) {
+      relevant_missing_user_ids = [];
+    }
+
+    if (relevant_missing_user_ids.length) {
+      return [412, client_mismatch];
+    }
+
+    Object.keys(expected_clients).forEach((recipient_user_id) => {
+      const recipient_clients = payload.recipients[recipient_user_id] || {};
+      expected_clients[recipient_user_id]
+      .filter((client_id) => recipient_clients[client_id])
+      .forEach((client_id) => {
+        const event = {
+          conversation: conversation_id,
+          data: {
+            recipient: client_id,
+            sender: payload.sender,
+            text: recipient_clients[client_id],
+          },
+          from: user_id,
+          time: client_mismatch.time,
+          type: z.event.Backend.CONVERSATION.OTR_MESSAGE_ADD,
+        };
+
+        if (payload.data) {
+          event.data.data = payload.data;
+        }
+
+        this._deliver_event(recipient_user_id, client_id, event);
+      });
+    });
+
+    return [201, client_mismatch];
+  }
+
+  _deliver_event(user_id, client_id, event) {
+    this.add_notification(client_id, [event]);
+
+    const {simulated_client} = this._get_client_record(user_id, client_id);
+    if (simulated_client) {
+      window.setTimeout(() => {
+        simulated_client.receive(event)
+        .catch((error) => this.logger.error(`Simulated client '${client_id}' failed to decrypt message: ${error.message}`, error));
+      });
+    }
+  }
+
+
+  //##############################################################################
+  // WebSocket
+  //##############################################################################
+
+  /**
+   * Accept a WebSocket connection.
+   * @param {z.test.MockWebSocket} web_socket - WebSocket trying to connect
+   * @returns {boolean} Connection was accepted
+   */
+  connect_web_socket(web_socket) {
+    if (!this.notifications[web_socket.client_id]) {
+      this.logger.warn(`Rejected WebSocket of unknown client '${web_socket.client_id}'`);
+      return false;
+    }
+
+    this.web_sockets[web_socket.client_id] = web_socket;
+    return true;
+  }
+
+  /**
+   * Remove a closed WebSocket connection.
+   * @param {z.test.MockWebSocket} web_socket - WebSocket that was closed
+   * @returns {undefined} No return value
+   */
+  disconnect_web_socket(web_socket) {
+    if (this.web_sockets[web_socket.client_id] === web_socket) {
+      delete this.web_sockets[web_socket.client_id];
+    }
+  }
+
+
+  //##############################################################################
+  // REST API
+  //##############################################################################
+
+  _handle_request(xhr) {
+    const url = new URL(xhr.url, this.rest_url);
+    const request = {
+      body: this._parse_request_body(xhr),
+      method: xhr.method,
+      path: url.pathname,
+      query: {},
+    };
+    url.searchParams.forEach((value, key) => request.query[key] = value);
+
+    let response = [404, {code: 404, label: 'not-found', message: 'Not found'}];
+    const route = this.routes.find(([method, path_regex]) => method === request.method && path_regex.test(request.path));
+    if (route) {
+      const [, path_regex, handler] = route;
+      response = handler.apply(this, [request].concat(path_regex.exec(request.path).slice(1)));
+    } else {
+      this.logger.warn(`No mock for '${request.method}' request to '${request.path}'`);
+    }
+
+    const [status, body] = response;
+    this.requests.push({method: request.method, path: request.path, status: status});
+
+    if (body === undefined) {
+      return xhr.respond(status, {}, '');
+    }
+    xhr.respond(status, {'Content-Type': 'application/json'}, JSON.stringify(body));
+  }
+
+  _parse_request_body(xhr) {
+    let body = xhr.requestBody;
+    if (!body) {
+      return undefined;
+    }
+
+    if (xhr.requestHeaders['Content-Encoding'] === 'gzip') {
+      body = pako.ungzip(body, {to: 'string'});
+    }
+    return typeof body === 'string' ? JSON.parse(body) : body;
+  }
+
+  _serialize_client({class: client_class, id, label, model, time, type}) {
+    return {class: client_class, id, label, model, time, type};
+  }
+
+  _delete_client(request, client_id) {
+    this.remove_client(this.self_user_id, client_id);
+    return [200];
+  }
+
+  _get_client(request, client_id) {
+    const client = this._get_client_record(this.self_user_id, client_id);
+    if (client) {
+      return [200, this._serialize_client(client)];
+    }
+    return [404, {code: 404, label: 'not-found', message: 'Client not found'}];
+  }
+
+  _get_clients(request) {
+    const clients = this._get_user_record(this.self_user_id).clients;
+    return [200, Object.keys(clients).map((client_id) => this._serialize_client(clients[client_id]))];
+  }
+
+  _get_notifications(request) {
+    const notifications = this.notifications[request.query.client] || [];
+    const size = parseInt(request.query.size, 10) || MOCK_BACKEND_CONFIG.NOTIFICATIONS_PAGE_SIZE;
+
+    let status = 200;
+    let start_index = 0;
+    if (request.query.since) {
+      const since_index = notifications.findIndex((notification) => notification.id === request.query.since);
+      if (since_index === -1) {
+        status = 404;
+      } else {
+        start_index = since_index + 1;
+      }
+    }
+
+    return [status, {
+      has_more: start_index + size < notifications.length,
+      notifications: notifications.slice(start_index, start_index + size),
+    }];
+  }
+
+  _get_notifications_last(request) {
+    const notifications = this.notifications[request.query.client] || [];
+    if (notifications.length) {
+      return [200, notifications[notifications.length - 1]];
+    }
+    return [404, {code: 404, label: 'not-found', message: 'Notification not found'}];
+  }
+
+  _get_user(request, user_id) {
+    const user = this.users[user_id];
+    if (user) {
+      return [200, {accent_id: user.accent_id, id: user.id, name: user.name, picture: []}];
+    }
+    return [404, {code: 404, label: 'not-found', message: 'User not found'}];
+  }
+
+  _get_user_clients(request, user_id) {
+    const user = this.users[user_id];
+    if (user) {
+      return [200, Object.keys(user.clients).map((client_id) => ({class: user.clients[client_id].class, id: client_id}))];
+    }
+    return [404, {code: 404, label: 'not-found', message: 'User not found'}];
+  }
+
+  _get_users(request) {
+    const user_ids = (request.query.ids || '').split(',').filter((user_id) => this.users[user_id]);
+    return [200, user_ids.map((user_id) => this._get_user(request, user_id)[1])];
+  }
+
+  _post_clients(request) {
+    const client = this.add_client(this.self_user_id, z.test.MockBackend.create_client_id(), request.body.lastkey, request.body.prekeys);
+    Object.assign(client, {
+      class: request.body.class,
+      label: request.body.label,
+      model: request.body.model,
+      type: request.body.type,
+    });
+
+    return [201, this._serialize_client(client)];
+  }
+
+  _post_otr_messages(request, conversation_id) {
+    let precondition_option = false;
+    if (request.query.ignore_missing === 'true') {
+      precondition_option = true;
+    } else if (request.query.report_missing) {
+      precondition_option = request.query.report_missing.split(',');
+    }
+
+    const user_id = this._find_user_of_client(request.body.sender) || this.self_user_id;
+    return this._send_otr_message(conversation_id, user_id, request.body, precondition_option);
+  }
+
+  _post_users_prekeys(request) {
+    const user_pre_key_map = {};
+
+    Object.keys(request.body).forEach((user_id) => {
+      user_pre_key_map[user_id] = {};
+      request.body[user_id].forEach((client_id) => {
+        user_pre_key_map[user_id][client_id] = this.claim_pre_key(user_id, client_id) || null;
+      });
+    });
+
+    return [200, user_pre_key_map];
+  }
+
+  _put_client(request, client_id) {
+    const client = this._get_client_record(this.self_user_id, client_id);
+    if (!client) {
+      return [404, {code: 404, label: 'not-found', message: 'Client not found'}];
+    }
+
+    if (request.body.prekeys) {
+      this.add_pre_keys(this.self_user_id, client_id, request.body.prekeys);
+    }
+    return [200];
+  }
+};
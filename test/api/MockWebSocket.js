@@ -0,0 +1,126 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.test = z.test || {};
+
+z.test.MockWebSocket = class MockWebSocket {
+  static get READY_STATE() {
+    return {
+      CLOSED: 3,
+      CLOSING: 2,
+      CONNECTING: 0,
+      OPEN: 1,
+    };
+  }
+
+  /**
+   * Construct a WebSocket that is connected to the mock backend instead of the network.
+   *
+   * @param {z.test.MockBackend} backend - Backend that serves the WebSocket
+   * @param {string} url - URL the WebSocket was opened with
+   */
+  constructor(backend, url) {
+    this.backend = backend;
+    this.url = url;
+
+    const client_match = /[?&]client=([^&]+)/.exec(url);
+    this.client_id = client_match ? client_match[1] : undefined;
+
+    this.binaryType = 'blob';
+    this.readyState = z.test.MockWebSocket.READY_STATE.CONNECTING;
+
+    this.onclose = undefined;
+    this.onerror = undefined;
+    this.onmessage = undefined;
+    this.onopen = undefined;
+
+    window.setTimeout(() => this._open());
+  }
+
+  /**
+   * Close the WebSocket.
+   * @param {number} [code=1000] - Close code
+   * @returns {undefined} No return value
+   */
+  close(code = 1000) {
+    if (this.readyState === z.test.MockWebSocket.READY_STATE.CLOSED) {
+      return;
+    }
+
+    this.readyState = z.test.MockWebSocket.READY_STATE.CLOSED;
+    this.backend.disconnect_web_socket(this);
+
+    if (this.onclose) {
+      this.onclose({code: code});
+    }
+  }
+
+  /**
+   * Push a notification to the WebSocket as the backend would do.
+   * @param {Object} notification - Notification to push
+   * @returns {undefined} No return value
+   */
+  push(notification) {
+    if (this.readyState === z.test.MockWebSocket.READY_STATE.OPEN && this.onmessage) {
+      this.onmessage({data: new Blob([JSON.stringify(notification)], {type: 'application/json'})});
+    }
+  }
+
+  /**
+   * Send data through the WebSocket.
+   * @note The backend only understands pings which it answers with a pong.
+   * @param {string} data - Data to send
+   * @returns {undefined} No return value
+   */
+  send(data) {
+    if (this.readyState !== z.test.MockWebSocket.READY_STATE.OPEN) {
+      throw new Error('WebSocket is not open');
+    }
+
+    if (data === 'ping' && !this.backend.drop_pongs) {
+      window.setTimeout(() => {
+        if (this.readyState === z.test.MockWebSocket.READY_STATE.OPEN && this.onmessage) {
+          this.onmessage({data: 'pong'});
+        }
+      });
+    }
+  }
+
+  _open() {
+    if (this.readyState !== z.test.MockWebSocket.READY_STATE.CONNECTING) {
+      return;
+    }
+
+    if (!this.backend.connect_web_socket(this)) {
+      this.readyState = z.test.MockWebSocket.READY_STATE.CLOSED;
+      if (this.onerror) {
+        this.onerror(new Event('error'));
+      }
+      return;
+    }
+
+    this.readyState = z.test.MockWebSocket.READY_STATE.OPEN;
+    if (this.onopen) {
+      this.onopen();
+    }
+  }
+};
@@ -0,0 +1,166 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.test = z.test || {};
+
+const SIMULATED_CLIENT_CONFIG = {
+  MINIMUM_PREKEYS: 10,
+};
+
+z.test.SimulatedClient = class SimulatedClient {
+  /**
+   * Construct a client of a simulated user that talks to the mock backend with a real Cryptobox.
+   *
+   * @param {z.test.MockBackend} backend - Backend the client is registered with
+   * @param {string} user_id - ID of the user owning the client
+   * @param {string} client_id - ID of the client
+   */
+  constructor(backend, user_id, client_id) {
+    this.backend = backend;
+    this.id = client_id;
+    this.user_id = user_id;
+
+    this.cryptobox = new cryptobox.Cryptobox(new cryptobox.store.Cache(), SIMULATED_CLIENT_CONFIG.MINIMUM_PREKEYS);
+    this.cryptobox.on(cryptobox.Cryptobox.TOPIC.NEW_PREKEYS, (pre_keys) => {
+      const serialized_pre_keys = pre_keys.map((pre_key) => this.cryptobox.serialize_prekey(pre_key));
+      this.backend.add_pre_keys(this.user_id, this.id, serialized_pre_keys);
+    });
+
+    this.received_messages = [];
+    this.message_listeners = [];
+  }
+
+  /**
+   * Create the Cryptobox identity and register the client with the backend.
+   * @returns {Promise} Resolves with the client once it can receive messages
+   */
+  init() {
+    return this.cryptobox.init()
+    .then(() => {
+      return Promise.all([
+        this.cryptobox.get_serialized_last_resort_prekey(),
+        this.cryptobox.get_serialized_standard_prekeys(),
+      ]);
+    })
+    .then(([last_resort_pre_key, pre_keys]) => {
+      this.backend.add_client(this.user_id, this.id, last_resort_pre_key, pre_keys, this);
+      return this;
+    });
+  }
+
+  /**
+   * Decrypt an OTR event the backend delivered to this client.
+   * @param {Object} event - Backend event of type 'conversation.otr-message-add'
+   * @returns {Promise} Resolves with the decrypted message
+   */
+  receive(event) {
+    const session_id = this._construct_session_id(event.from, event.data.sender);
+    const cipher_text = z.util.base64_to_array(event.data.text).buffer;
+
+    return this.cryptobox.decrypt(session_id, cipher_text)
+    .then((plaintext) => {
+      const message = {
+        conversation_id: event.conversation,
+        generic_message: z.proto.GenericMessage.decode(plaintext),
+        sender: event.data.sender,
+        user_id: event.from,
+      };
+
+      this.received_messages.push(message);
+      this.message_listeners.splice(0).forEach((resolve_fn) => resolve_fn(message));
+      return message;
+    });
+  }
+
+  /**
+   * Encrypt a generic message for all other clients in a conversation and post it to the backend.
+   *
+   * @param {string} conversation_id - ID of conversation to send the message to
+   * @param {z.proto.GenericMessage} generic_message - Message to send
+   * @returns {Promise} Resolves with the response of the backend
+   */
+  send_generic_message(conversation_id, generic_message) {
+    const recipients = this.backend.get_conversation_clients(conversation_id, this.id);
+    const cipher_promises = [];
+
+    Object.keys(recipients).forEach((user_id) => {
+      recipients[user_id].forEach((client_id) => {
+        cipher_promises.push(this._encrypt_for_client(user_id, client_id, generic_message));
+      });
+    });
+
+    return Promise.all(cipher_promises)
+    .then((cipher_payloads) => {
+      const payload = {
+        native_push: true,
+        recipients: {},
+        sender: this.id,
+      };
+
+      cipher_payloads.forEach(([user_id, client_id, cipher_text]) => {
+        payload.recipients[user_id] = payload.recipients[user_id] || {};
+        payload.recipients[user_id][client_id] = cipher_text;
+      });
+
+      return this.backend.post_otr_message(conversation_id, this.user_id, payload, true);
+    });
+  }
+
+  /**
+   * Send a text message to a conversation.
+   *
+   * @param {string} conversation_id - ID of conversation to send the message to
+   * @param {string} text - Text of the message
+   * @returns {Promise} Resolves with the sent generic message
+   */
+  send_text(conversation_id, text) {
+    const generic_message = new z.proto.GenericMessage(z.util.create_random_uuid());
+    generic_message.set('text', new z.proto.Text(text));
+
+    return this.send_generic_message(conversation_id, generic_message)
+    .then(() => generic_message);
+  }
+
+  /**
+   * Wait for the next message received by this client.
+   * @returns {Promise} Resolves with the next decrypted message
+   */
+  wait_for_message() {
+    return new Promise((resolve) => this.message_listeners.push(resolve));
+  }
+
+  _construct_session_id(user_id, client_id) {
+    return `${user_id}@${client_id}`;
+  }
+
+  _encrypt_for_client(user_id, client_id, generic_message) {
+    const session_id = this._construct_session_id(user_id, client_id);
+
+    return this.cryptobox.session_load(session_id)
+    .catch(() => {
+      const pre_key = this.backend.claim_pre_key(user_id, client_id);
+      return this.cryptobox.session_from_prekey(session_id, z.util.base64_to_array(pre_key.key).buffer);
+    })
+    .then(() => this.cryptobox.encrypt(session_id, generic_message.toArrayBuffer()))
+    .then((cipher_text) => [user_id, client_id, z.util.array_to_base64(cipher_text)]);
+  }
+};
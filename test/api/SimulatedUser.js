@@ -0,0 +1,63 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+'use strict';
+
+window.z = window.z || {};
+window.z.test = z.test || {};
+
+z.test.SimulatedUser = class SimulatedUser {
+  /**
+   * Construct a user that is simulated by the mock backend.
+   *
+   * @param {z.test.MockBackend} backend - Backend the user is registered with
+   * @param {string} user_id - ID of the user
+   * @param {string} name - Name of the user
+   */
+  constructor(backend, user_id, name) {
+    this.backend = backend;
+    this.clients = [];
+    this.id = user_id;
+    this.name = name;
+  }
+
+  /**
+   * Add a new device to the user.
+   * @returns {Promise} Resolves with the registered z.test.SimulatedClient
+   */
+  add_client() {
+    const client = new z.test.SimulatedClient(this.backend, this.id, z.test.MockBackend.create_client_id());
+
+    return client.init()
+    .then(() => {
+      this.clients.push(client);
+      return client;
+    });
+  }
+
+  /**
+   * Remove a device of the user.
+   * @param {z.test.SimulatedClient} client - Client to remove
+   * @returns {undefined} No return value
+   */
+  remove_client(client) {
+    this.clients = this.clients.filter((client_entity) => client_entity !== client);
+    this.backend.remove_client(this.id, client.id);
+  }
+};
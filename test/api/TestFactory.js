@@ -310,6 +310,34 @@ window.TestFactory.prototype.exposeConversationActors = function() {
   });
 };
 
+/**
+ * Expose the actors of the whole messaging pipeline sharing a single Cryptobox.
+ * @returns {Promise<z.event.EventRepository>} The event repository.
+ */
+window.TestFactory.prototype.exposeMessagingActors = function() {
+  const self = this;
+  self.logger.info('- exposeMessagingActors');
+  return Promise.resolve()
+  .then(function() {
+    return self.exposeConversationActors();
+  })
+  .then(function() {
+    self.logger.info('✓ exposedConversationActors');
+
+    window.web_socket_service = new z.event.WebSocketService(self.client, window.storage_service);
+    window.web_socket_service.logger.level = self.settings.logging_level;
+
+    window.notification_service = new z.event.NotificationService(self.client, window.storage_service);
+    window.notification_service.logger.level = self.settings.logging_level;
+
+    window.event_repository = new z.event.EventRepository(web_socket_service, notification_service, window.cryptography_repository, window.user_repository, window.conversation_service);
+    window.event_repository.logger.level = self.settings.logging_level;
+    window.event_repository.current_client = ko.observable(window.cryptography_repository.current_client());
+
+    return window.event_repository;
+  });
+};
+
 /**
  *
  * @returns {Promise<z.media.MediaRepository>} The media repository.
@@ -0,0 +1,98 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+// grunt test_init && grunt test_run:assets/AssetCacheRepository
+
+'use strict';
+
+describe('z.assets.AssetCacheRepository', () => {
+  let active_conversation = null;
+  let asset_cache_repository = null;
+
+  beforeEach(() => {
+    active_conversation = ko.observable();
+    asset_cache_repository = new z.assets.AssetCacheRepository({active_conversation});
+  });
+
+  describe('get_cache_options', () => {
+    it('caches assets of ephemeral messages as volatile', () => {
+      const cache_options = z.assets.AssetCacheRepository.get_cache_options('conversation', true);
+
+      expect(cache_options.conversation_id).toBe('conversation');
+      expect(cache_options.retention).toBe(z.assets.AssetRetentionPolicy.VOLATILE);
+    });
+
+    it('caches assets of regular messages as persistent', () => {
+      const cache_options = z.assets.AssetCacheRepository.get_cache_options('conversation', false);
+
+      expect(cache_options.retention).toBe(z.assets.AssetRetentionPolicy.PERSISTENT);
+    });
+  });
+
+  describe('pin_conversation', () => {
+    it('pins the most recently viewed conversations first', () => {
+      ['1', '2', '3', '4', '5', '6', '2'].forEach((conversation_id) => active_conversation({id: conversation_id}));
+
+      expect(asset_cache_repository.pinned_conversation_ids).toEqual(['2', '6', '5', '4', '3']);
+    });
+  });
+
+  describe('get_statistics', () => {
+    beforeEach((done) => {
+      window.caches.open('asset-cache-v3')
+      .then((cache) => {
+        return Promise.all([
+          cache.put('/assets/eternal', new Response('1', {headers: {'X-Asset-Retention': 'eternal', 'X-Asset-Size': '1024'}})),
+          cache.put('/assets/persistent', new Response('2', {headers: {'X-Asset-Retention': 'persistent', 'X-Asset-Size': '2048'}})),
+        ]);
+      })
+      .then(done)
+      .catch(done.fail);
+    });
+
+    afterEach((done) => {
+      window.caches.delete('asset-cache-v3').then(done);
+    });
+
+    it('sums up cached assets per retention policy', (done) => {
+      asset_cache_repository.get_statistics()
+      .then((statistics) => {
+        expect(statistics.entries).toBe(2);
+        expect(statistics.size).toBe(3072);
+        expect(statistics.retention[z.assets.AssetRetentionPolicy.ETERNAL]).toEqual({entries: 1, size: 1024});
+        expect(statistics.retention[z.assets.AssetRetentionPolicy.PERSISTENT]).toEqual({entries: 1, size: 2048});
+        done();
+      })
+      .catch(done.fail);
+    });
+
+    it('is empty after the cache has been cleared', (done) => {
+      asset_cache_repository.clear_cache()
+      .then((number_of_deleted_assets) => {
+        expect(number_of_deleted_assets).toBe(2);
+        return asset_cache_repository.get_statistics();
+      })
+      .then((statistics) => {
+        expect(statistics.entries).toBe(0);
+        expect(statistics.size).toBe(0);
+        done();
+      })
+      .catch(done.fail);
+    });
+  });
+});
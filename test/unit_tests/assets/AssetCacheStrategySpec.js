@@ -0,0 +1,174 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+// grunt test_init && grunt test_run:assets/AssetCacheStrategy
+
+'use strict';
+
+describe('asset-cache-strategy', () => {
+  const options = {evictionDelay: 0, maxBytes: 1000, maxEntries: 10, metaName: 'asset-cache-meta', name: 'asset-cache', quotaRatio: 0.5};
+  let pinned_conversation_ids = null;
+
+  const create_cache = (entries) => {
+    return {
+      delete: jasmine.createSpy('delete').and.returnValue(Promise.resolve(true)),
+      keys: jasmine.createSpy('keys').and.callFake(() => Promise.resolve(entries.map(({url}) => url))),
+      match(url) {
+        const {conversation, retention, size} = entries.find((entry) => entry.url === url);
+        const headers = {'X-Asset-Conversation': conversation, 'X-Asset-Retention': retention, 'X-Asset-Size': `${size}`};
+        return Promise.resolve(new Response('', {headers}));
+      },
+    };
+  };
+
+  const create_entry = (url, size = 100, retention = 'persistent', conversation = 'conversation') => {
+    return {conversation, retention, size, url};
+  };
+
+  const get_deleted_urls = (cache) => cache.delete.calls.allArgs().map(([url]) => url);
+
+  const mock_property = (object, name, value) => {
+    Object.defineProperty(object, name, {configurable: true, value: value});
+  };
+
+  beforeAll((done) => {
+    const script = document.createElement('script');
+    script.onload = done;
+    script.onerror = done.fail;
+    script.src = '/worker/asset-cache-strategy.js';
+    document.head.appendChild(script);
+  });
+
+  beforeEach(() => {
+    pinned_conversation_ids = [];
+    const meta_cache = {match: () => Promise.resolve(new Response(JSON.stringify(pinned_conversation_ids)))};
+    mock_property(window, 'caches', {open: () => Promise.resolve(meta_cache)});
+    mock_property(navigator, 'storage', undefined);
+  });
+
+  afterEach(() => {
+    delete window.caches;
+    delete navigator.storage;
+  });
+
+  describe('evictEntries', () => {
+    it('evicts the least recently used entries above the entry limit', (done) => {
+      const cache = create_cache([create_entry('a'), create_entry('b'), create_entry('c')]);
+
+      window.assetCacheEviction.evictEntries(cache, Object.assign({}, options, {maxEntries: 2}))
+        .then(() => {
+          expect(get_deleted_urls(cache)).toEqual(['a']);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('evicts persistent entries before eternal entries', (done) => {
+      const cache = create_cache([create_entry('a', 100, 'eternal'), create_entry('b'), create_entry('c')]);
+
+      window.assetCacheEviction.evictEntries(cache, Object.assign({}, options, {maxEntries: 1}))
+        .then(() => {
+          expect(get_deleted_urls(cache)).toEqual(['b', 'c']);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('evicts entries of pinned conversations last', (done) => {
+      pinned_conversation_ids = ['pinned'];
+      const cache = create_cache([create_entry('a', 100, 'persistent', 'pinned'), create_entry('b', 100, 'eternal'), create_entry('c')]);
+
+      window.assetCacheEviction.evictEntries(cache, Object.assign({}, options, {maxEntries: 1}))
+        .then(() => {
+          expect(get_deleted_urls(cache)).toEqual(['c', 'b']);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('evicts entries of pinned conversations if the limits are still exceeded', (done) => {
+      pinned_conversation_ids = ['pinned'];
+      const cache = create_cache([create_entry('a', 600, 'persistent', 'pinned'), create_entry('b', 500, 'persistent', 'pinned'), create_entry('c')]);
+
+      window.assetCacheEviction.evictEntries(cache, options)
+        .then(() => {
+          expect(get_deleted_urls(cache)).toEqual(['c', 'a']);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('evicts entries above the size limit', (done) => {
+      const cache = create_cache([create_entry('a', 600), create_entry('b', 300), create_entry('c', 200)]);
+
+      window.assetCacheEviction.evictEntries(cache, options)
+        .then(() => {
+          expect(get_deleted_urls(cache)).toEqual(['a']);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('evicts entries above the share of the storage quota', (done) => {
+      mock_property(navigator, 'storage', {estimate: () => Promise.resolve({quota: 1000, usage: 600})});
+      const cache = create_cache([create_entry('a'), create_entry('b'), create_entry('c')]);
+
+      window.assetCacheEviction.evictEntries(cache, options)
+        .then(() => {
+          expect(get_deleted_urls(cache)).toEqual(['a']);
+          done();
+        })
+        .catch(done.fail);
+    });
+  });
+
+  describe('scheduleEviction', () => {
+    it('evicts only once for writes before the eviction starts', (done) => {
+      const cache = create_cache([create_entry('a')]);
+
+      Promise.all([
+        window.assetCacheEviction.scheduleEviction(cache, options),
+        window.assetCacheEviction.scheduleEviction(cache, options),
+        window.assetCacheEviction.scheduleEviction(cache, options),
+      ])
+        .then(() => {
+          expect(cache.keys).toHaveBeenCalledTimes(1);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('evicts once more after writes during a running eviction', (done) => {
+      const cache = create_cache([create_entry('a')]);
+      cache.keys.and.callFake(() => {
+        if (cache.keys.calls.count() === 1) {
+          window.assetCacheEviction.scheduleEviction(cache, options);
+          window.assetCacheEviction.scheduleEviction(cache, options);
+        }
+        return Promise.resolve(['a']);
+      });
+
+      window.assetCacheEviction.scheduleEviction(cache, options)
+        .then(() => {
+          expect(cache.keys).toHaveBeenCalledTimes(2);
+          done();
+        })
+        .catch(done.fail);
+    });
+  });
+});
@@ -0,0 +1,187 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+// grunt test_init && grunt test_run:assets/AssetDownloader
+
+'use strict';
+
+describe('z.assets.AssetDownloader', () => {
+  let asset_downloader = null;
+  let pending_loads = null;
+
+  const create_remote_data = (identifier) => {
+    return {
+      abort_download: jasmine.createSpy('abort_download'),
+      download_progress: ko.observable(),
+      identifier: identifier,
+      load_data: jasmine.createSpy('load_data').and.callFake(() => {
+        return new Promise((resolve, reject) => pending_loads.push({identifier, reject, resolve}));
+      }),
+    };
+  };
+
+  beforeEach(() => {
+    pending_loads = [];
+    asset_downloader = new z.assets.AssetDownloader(2);
+  });
+
+  it('starts no more downloads than the concurrency limit', (done) => {
+    const remote_data_a = create_remote_data('a');
+    const remote_data_c = create_remote_data('c');
+
+    asset_downloader.download(remote_data_a)
+    .then((blob) => {
+      expect(blob).toBe('blob-a');
+      expect(remote_data_c.load_data).toHaveBeenCalled();
+      done();
+    })
+    .catch(done.fail);
+    asset_downloader.download(create_remote_data('b'));
+    asset_downloader.download(remote_data_c);
+
+    expect(asset_downloader.active_downloads().length).toBe(2);
+    expect(remote_data_c.load_data).not.toHaveBeenCalled();
+    pending_loads[0].resolve('blob-a');
+  });
+
+  it('starts downloads with a higher priority first', () => {
+    asset_downloader.set_max_concurrent_downloads(1);
+    asset_downloader.download(create_remote_data('a'));
+    asset_downloader.download(create_remote_data('b'), {priority: z.assets.AssetDownloadPriority.LOW});
+    asset_downloader.download(create_remote_data('c'), {priority: z.assets.AssetDownloadPriority.HIGH});
+
+    asset_downloader.pause(asset_downloader.downloads()[0]);
+
+    expect(pending_loads.map(({identifier}) => identifier)).toEqual(['a', 'c']);
+  });
+
+  it('returns the pending download when an asset is requested again', () => {
+    const remote_data = create_remote_data('a');
+    const download_promise = asset_downloader.download(remote_data);
+
+    expect(asset_downloader.download(remote_data, {priority: z.assets.AssetDownloadPriority.HIGH})).toBe(download_promise);
+    expect(asset_downloader.downloads().length).toBe(1);
+    expect(asset_downloader.downloads()[0].priority()).toBe(z.assets.AssetDownloadPriority.HIGH);
+  });
+
+  it('restarts a paused download when it is resumed', (done) => {
+    const remote_data = create_remote_data('a');
+
+    asset_downloader.download(remote_data)
+    .then((blob) => {
+      expect(blob).toBe('blob');
+      expect(asset_downloader.downloads().length).toBe(0);
+      done();
+    })
+    .catch(done.fail);
+
+    const [download] = asset_downloader.downloads();
+    asset_downloader.pause(download);
+
+    expect(remote_data.abort_download).toHaveBeenCalled();
+    expect(download.state()).toBe(z.assets.AssetDownloadState.PAUSED);
+
+    asset_downloader.resume(download);
+    expect(remote_data.load_data).toHaveBeenCalledTimes(2);
+    pending_loads[0].resolve('outdated-blob');
+    pending_loads[1].resolve('blob');
+  });
+
+  it('rejects a cancelled download', (done) => {
+    const remote_data = create_remote_data('a');
+
+    asset_downloader.download(remote_data)
+    .then(done.fail)
+    .catch((error) => {
+      expect(error.type).toBe(z.assets.AssetError.TYPE.DOWNLOAD_CANCELLED);
+      expect(remote_data.abort_download).toHaveBeenCalled();
+      expect(asset_downloader.downloads().length).toBe(0);
+      done();
+    });
+
+    asset_downloader.cancel(asset_downloader.downloads()[0]);
+  });
+
+  it('retries a download after a network error', (done) => {
+    spyOn(asset_downloader, '_get_retry_delay').and.returnValue(0);
+    const remote_data = create_remote_data('a');
+
+    asset_downloader.download(remote_data)
+    .then((blob) => {
+      expect(blob).toBe('blob');
+      expect(remote_data.load_data).toHaveBeenCalledTimes(2);
+      done();
+    })
+    .catch(done.fail);
+
+    pending_loads[0].reject(new z.assets.AssetError(z.assets.AssetError.TYPE.DOWNLOAD_INTERRUPTED));
+    remote_data.load_data.and.returnValue(Promise.resolve('blob'));
+  });
+
+  it('rejects a download that failed on every attempt and restarts it when requested again', (done) => {
+    spyOn(asset_downloader, '_get_retry_delay').and.returnValue(0);
+    const remote_data = create_remote_data('a');
+    remote_data.load_data.and.returnValue(Promise.reject(new z.assets.AssetError(z.assets.AssetError.TYPE.DOWNLOAD_INTERRUPTED)));
+
+    asset_downloader.download(remote_data)
+    .then(done.fail)
+    .catch((error) => {
+      const [download] = asset_downloader.downloads();
+      expect(error.type).toBe(z.assets.AssetError.TYPE.DOWNLOAD_INTERRUPTED);
+      expect(download.state()).toBe(z.assets.AssetDownloadState.FAILED);
+      expect(remote_data.load_data).toHaveBeenCalledTimes(5);
+
+      remote_data.load_data.and.returnValue(Promise.resolve('blob'));
+      return asset_downloader.download(remote_data);
+    })
+    .then((blob) => {
+      expect(blob).toBe('blob');
+      expect(asset_downloader.downloads().length).toBe(0);
+      done();
+    })
+    .catch(done.fail);
+  });
+
+  it('does not retry a download that failed because of a programming error', (done) => {
+    const remote_data = create_remote_data('a');
+
+    asset_downloader.download(remote_data)
+    .then(done.fail)
+    .catch((error) => {
+      expect(error instanceof TypeError).toBe(true);
+      expect(remote_data.load_data).toHaveBeenCalledTimes(1);
+      done();
+    });
+
+    pending_loads[0].reject(new TypeError("Cannot read property 'buffer' of undefined"));
+  });
+
+  it('does not retry a download that failed for other reasons', (done) => {
+    const remote_data = create_remote_data('a');
+
+    asset_downloader.download(remote_data)
+    .then(done.fail)
+    .catch((error) => {
+      expect(error.message).toBe('Encrypted asset does not match its SHA-256 hash');
+      expect(remote_data.load_data).toHaveBeenCalledTimes(1);
+      done();
+    });
+
+    pending_loads[0].reject(new Error('Encrypted asset does not match its SHA-256 hash'));
+  });
+});
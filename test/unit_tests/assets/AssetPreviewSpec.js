@@ -0,0 +1,85 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+// grunt test_init && grunt test_run:assets/AssetPreview
+
+'use strict';
+
+describe('z.assets.AssetPreview', () => {
+  describe('get_preview_type', () => {
+    it('detects previews by file extension and MIME type', () => {
+      const {get_preview_type} = z.assets.AssetPreview;
+
+      expect(get_preview_type('report.PDF', '', 1024).type).toBe(z.assets.AssetPreviewType.PDF);
+      expect(get_preview_type('invite.ics', '', 1024).type).toBe(z.assets.AssetPreviewType.CALENDAR);
+      expect(get_preview_type('data', 'application/json', 1024)).toEqual({language: 'json', type: z.assets.AssetPreviewType.CODE});
+      expect(get_preview_type('main.py', '', 1024)).toEqual({language: 'python', type: z.assets.AssetPreviewType.CODE});
+      expect(get_preview_type('table.csv', 'text/csv', 1024).type).toBe(z.assets.AssetPreviewType.TEXT);
+    });
+
+    it('does not preview unsupported or large files', () => {
+      const {get_preview_type} = z.assets.AssetPreview;
+
+      expect(get_preview_type('archive.zip', 'application/zip', 1024)).toBeUndefined();
+      expect(get_preview_type('huge.log', 'text/plain', 10 * 1024 * 1024)).toBeUndefined();
+    });
+  });
+
+  describe('parse_calendar', () => {
+    it('parses events with folded lines, escaped text and dates', () => {
+      const calendar = [
+        'BEGIN:VCALENDAR',
+        'BEGIN:VEVENT',
+        'SUMMARY:Planning\\, Q3',
+        'DTSTART:20170601T120000Z',
+        'DTEND:20170601T130000Z',
+        'LOCATION:Room 1',
+        'DESCRIPTION:First line\\nsecond',
+        '  line',
+        'ORGANIZER;CN="Jane Doe":mailto:jane@example.com',
+        'END:VEVENT',
+        'BEGIN:VEVENT',
+        'SUMMARY:Holiday',
+        'DTSTART;VALUE=DATE:20170520',
+        'ORGANIZER:mailto:john@example.com',
+        'END:VEVENT',
+        'END:VCALENDAR',
+      ].join('\r\n');
+
+      const [holiday, planning] = z.assets.AssetPreview.parse_calendar(calendar);
+
+      expect(holiday.summary).toBe('Holiday');
+      expect(holiday.all_day).toBe(true);
+      expect(holiday.start).toEqual(new Date(2017, 4, 20));
+      expect(holiday.organizer).toBe('john@example.com');
+
+      expect(planning.summary).toBe('Planning, Q3');
+      expect(planning.all_day).toBe(false);
+      expect(planning.start.toISOString()).toBe('2017-06-01T12:00:00.000Z');
+      expect(planning.end.toISOString()).toBe('2017-06-01T13:00:00.000Z');
+      expect(planning.location).toBe('Room 1');
+      expect(planning.description).toBe('First line\nsecond line');
+      expect(planning.organizer).toBe('Jane Doe');
+    });
+
+    it('ignores properties outside of events', () => {
+      const calendar = 'BEGIN:VCALENDAR\nSUMMARY:Calendar\nEND:VCALENDAR';
+      expect(z.assets.AssetPreview.parse_calendar(calendar)).toEqual([]);
+    });
+  });
+});
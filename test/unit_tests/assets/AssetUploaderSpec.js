@@ -0,0 +1,161 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+// grunt test_init && grunt test_run:assets/AssetUploader
+
+'use strict';
+
+describe('z.assets.AssetUploader', () => {
+  const nonce = z.util.create_random_uuid();
+  let asset_service = null;
+  let asset_uploader = null;
+  let records = null;
+  let storage_service = null;
+
+  beforeEach(() => {
+    records = {};
+    storage_service = {
+      OBJECT_STORE_UPLOADS: 'uploads',
+      delete: (store_name, primary_key) => Promise.resolve(delete records[primary_key]),
+      get_all: () => Promise.resolve(Object.keys(records).map((primary_key) => records[primary_key])),
+      load: (store_name, primary_key) => Promise.resolve(records[primary_key]),
+      save: (store_name, primary_key, record) => Promise.resolve(records[primary_key] = Object.assign({}, record)),
+      update: (store_name, primary_key, changes) => Promise.resolve(Object.assign(records[primary_key], changes)),
+    };
+
+    asset_service = {
+      head_resumable_asset_v3: jasmine.createSpy('head_resumable_asset_v3'),
+      patch_resumable_asset_v3: jasmine.createSpy('patch_resumable_asset_v3').and.callFake((key, offset, chunk) => {
+        return Promise.resolve(offset + chunk.size);
+      }),
+      post_resumable_asset_v3: jasmine.createSpy('post_resumable_asset_v3').and.returnValue(Promise.resolve({
+        chunk_size: 8,
+        key: 'resumable-key',
+      })),
+    };
+
+    asset_uploader = new z.assets.AssetUploader(asset_service, storage_service);
+  });
+
+  it('uploads an encrypted file in chunks', (done) => {
+    const file = new Blob([new Uint8Array(20)]);
+
+    asset_uploader.upload('conversation', nonce, file, null)
+    .then((asset) => {
+      // IV of 16 bytes followed by 32 bytes of padded ciphertext
+      expect(asset_service.post_resumable_asset_v3).toHaveBeenCalledWith(48, null);
+      expect(asset_service.patch_resumable_asset_v3.calls.count()).toBe(6);
+      expect(asset.uploaded.asset_id).toBe('resumable-key');
+      expect(records[nonce]).toBeUndefined();
+      done();
+    })
+    .catch(done.fail);
+  });
+
+  it('keeps the progress of a paused upload', (done) => {
+    const file = new Blob([new Uint8Array(20)]);
+
+    asset_service.patch_resumable_asset_v3.and.callFake((key, offset, chunk) => {
+      if (offset === 16) {
+        return asset_uploader.pause(nonce)
+        .then(() => {
+          throw new z.assets.AssetError(z.assets.AssetError.TYPE.UPLOAD_CANCELLED);
+        });
+      }
+      return Promise.resolve(offset + chunk.size);
+    });
+
+    asset_uploader.upload('conversation', nonce, file, null)
+    .then(done.fail)
+    .catch((error) => {
+      expect(error.type).toBe(z.assets.AssetError.TYPE.UPLOAD_PAUSED);
+      expect(records[nonce].offset).toBe(16);
+      expect(records[nonce].paused).toBe(true);
+      expect(asset_uploader.is_active(nonce)).toBe(false);
+      done();
+    });
+  });
+
+  it('removes a cancelled upload without sending further chunks', (done) => {
+    const file = new Blob([new Uint8Array(20)]);
+
+    asset_service.patch_resumable_asset_v3.and.callFake((key, offset, chunk) => {
+      if (offset === 16) {
+        return asset_uploader.cancel(nonce)
+        .then(() => offset + chunk.size);
+      }
+      return Promise.resolve(offset + chunk.size);
+    });
+
+    asset_uploader.upload('conversation', nonce, file, null)
+    .then(done.fail)
+    .catch((error) => {
+      expect(error.type).toBe(z.assets.AssetError.TYPE.UPLOAD_CANCELLED);
+      expect(asset_service.patch_resumable_asset_v3.calls.count()).toBe(3);
+      expect(records[nonce]).toBeUndefined();
+      done();
+    });
+  });
+
+  it('removes an upload rejected by the backend', (done) => {
+    const file = new Blob([new Uint8Array(20)]);
+
+    asset_service.patch_resumable_asset_v3.and.callFake(() => Promise.reject(new z.assets.AssetError(z.assets.AssetError.TYPE.UPLOAD_FAILED)));
+
+    asset_uploader.upload('conversation', nonce, file, null)
+    .then(done.fail)
+    .catch((error) => {
+      expect(error.type).toBe(z.assets.AssetError.TYPE.UPLOAD_FAILED);
+      expect(records[nonce]).toBeUndefined();
+      done();
+    });
+  });
+
+  it('resumes an upload at the offset confirmed by the backend', (done) => {
+    records[nonce] = {
+      chunk_size: 8,
+      ciphertext: new Blob([new Uint8Array(24)]),
+      key: 'resumable-key',
+      nonce: nonce,
+      offset: 0,
+      otr_key: new Uint8Array(32).buffer,
+      paused: true,
+      sha256: new Uint8Array(32).buffer,
+      size: 24,
+    };
+    asset_service.head_resumable_asset_v3.and.returnValue(Promise.resolve(16));
+
+    asset_uploader.resume(nonce)
+    .then(() => {
+      expect(asset_service.patch_resumable_asset_v3.calls.count()).toBe(1);
+      expect(asset_service.patch_resumable_asset_v3.calls.argsFor(0)[1]).toBe(16);
+      expect(records[nonce]).toBeUndefined();
+      done();
+    })
+    .catch(done.fail);
+  });
+
+  it('rejects resuming an unknown upload', (done) => {
+    asset_uploader.resume(nonce)
+    .then(done.fail)
+    .catch((error) => {
+      expect(error.type).toBe(z.assets.AssetError.TYPE.NO_UPLOAD);
+      done();
+    });
+  });
+});
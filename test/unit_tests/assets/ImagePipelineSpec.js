@@ -0,0 +1,128 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+// grunt test_init && grunt test_run:assets/ImagePipeline
+
+'use strict';
+
+describe('image-pipeline', () => {
+  const load_script = (url) => {
+    return new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.onload = resolve;
+      script.onerror = reject;
+      script.src = url;
+      document.head.appendChild(script);
+    });
+  };
+
+  const to_bytes = (...parts) => {
+    const bytes = [];
+    parts.forEach((part) => {
+      if (typeof part === 'string') {
+        return bytes.push(...Array.from(part).map((char) => char.charCodeAt(0)));
+      }
+      bytes.push(...part);
+    });
+    return new Uint8Array(bytes);
+  };
+
+  beforeAll((done) => {
+    load_script('/worker/jimp.min.js')
+      .then(() => load_script('/worker/image-pipeline.js'))
+      .then(done)
+      .catch(done.fail);
+  });
+
+  describe('strip_gif_metadata', () => {
+    const header = to_bytes('GIF89a', [1, 0, 1, 0, 0x80, 0, 0], [0, 0, 0, 255, 255, 255]);
+    const loop_extension = to_bytes([0x21, 0xFF, 0x0B], 'NETSCAPE2.0', [0x03, 0x01, 0x00, 0x00, 0x00]);
+    const comment_extension = to_bytes([0x21, 0xFE, 0x05], 'hello', [0x00]);
+    const xmp_extension = to_bytes([0x21, 0xFF, 0x0B], 'XMP DataXMP', [0x02, 0x41, 0x42, 0x00]);
+    const graphic_control_extension = to_bytes([0x21, 0xF9, 0x04, 0x00, 0x00, 0x00, 0x00, 0x00]);
+    const image = to_bytes([0x2C, 0, 0, 0, 0, 1, 0, 1, 0, 0x00, 0x02, 0x02, 0x44, 0x01, 0x00]);
+    const trailer = to_bytes([0x3B]);
+
+    it('removes comment and unknown application extensions', () => {
+      const gif = to_bytes(header, loop_extension, comment_extension, xmp_extension, graphic_control_extension, image, trailer);
+      const expected_gif = to_bytes(header, loop_extension, graphic_control_extension, image, trailer);
+
+      expect(Array.from(self.strip_gif_metadata(gif))).toEqual(Array.from(expected_gif));
+    });
+
+    it('keeps a GIF without metadata unchanged', () => {
+      const gif = to_bytes(header, loop_extension, graphic_control_extension, image, image, trailer);
+
+      expect(Array.from(self.strip_gif_metadata(gif))).toEqual(Array.from(gif));
+    });
+
+    it('throws on truncated GIFs', () => {
+      const gif = to_bytes(header, comment_extension.subarray(0, 4));
+
+      expect(() => self.strip_gif_metadata(gif)).toThrowError('Unexpected end of GIF');
+    });
+  });
+
+  describe('search_jpeg_quality', () => {
+    let image = undefined;
+
+    beforeEach(() => {
+      image = {
+        encoded_qualities: [],
+        getBuffer(mime_type, callback) {
+          this.encoded_qualities.push(this.current_quality);
+          callback(null, new Uint8Array(this.current_quality * 10));
+        },
+        quality(quality) {
+          this.current_quality = quality;
+          return this;
+        },
+      };
+    });
+
+    it('resolves with the highest quality that fits into the size limit', (done) => {
+      self.search_jpeg_quality(image, 725, 40, 89, 10)
+        .then((buffer) => {
+          expect(buffer.length).toBe(720);
+          expect(image.encoded_qualities).toEqual([64, 77, 70, 73, 71, 72]);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('limits the number of encoding attempts', (done) => {
+      self.search_jpeg_quality(image, 725, 40, 89, 2)
+        .then((buffer) => {
+          expect(buffer.length).toBe(640);
+          expect(image.encoded_qualities).toEqual([64, 77]);
+          done();
+        })
+        .catch(done.fail);
+    });
+
+    it('falls back to the lowest quality if no quality fits', (done) => {
+      self.search_jpeg_quality(image, 100, 40, 89, 5)
+        .then((buffer) => {
+          expect(buffer.length).toBe(400);
+          expect(image.encoded_qualities).toEqual([64, 51, 45, 42, 40, 40]);
+          done();
+        })
+        .catch(done.fail);
+    });
+  });
+});
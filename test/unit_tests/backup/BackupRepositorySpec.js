@@ -0,0 +1,128 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+// grunt test_init && grunt test_run:backup/BackupRepository
+
+'use strict';
+
+describe('z.backup.BackupRepository', () => {
+  const conversation_id = '35a9a89d-70dc-4d9e-88a2-4d8758458a6a';
+  const self_user_id = '9ee5b3cc-4be7-4e96-b1e3-8d4f17b3ac8e';
+  const passphrase = 'correct horse battery staple';
+
+  const conversations = [{id: conversation_id, last_event_timestamp: 1487173217000, name: 'Backup'}];
+  const events = [
+    {conversation: conversation_id, from: self_user_id, id: 'b6498d81-92e8-4da7-afd2-054239595da7', time: '2017-02-15T15:40:17.000Z', type: 'conversation.message-add'},
+    {conversation: conversation_id, data: {otr_key: new Uint8Array([1, 2, 3])}, from: self_user_id, id: 'f7adaa16-38f5-483e-b621-72ff1dbd2275', time: '2017-02-15T15:41:17.000Z', type: 'conversation.asset-add'},
+  ];
+
+  let backup_repository = undefined;
+  let backup_service = undefined;
+
+  beforeEach(() => {
+    const self_user_et = new z.entity.User(self_user_id);
+    self_user_et.name('Jane');
+    self_user_et.username('jane');
+
+    backup_service = {
+      get_history: jasmine.createSpy('get_history').and.returnValue(Promise.resolve({conversations, events})),
+      import_conversations: jasmine.createSpy('import_conversations').and.callFake((records) => Promise.resolve(records.length)),
+      import_events: jasmine.createSpy('import_events').and.callFake((records) => Promise.resolve(records.length)),
+    };
+    const client_repository = {current_client: () => ({id: '4b0a0fbf418d264c'})};
+    const user_repository = {self: () => self_user_et};
+
+    backup_repository = new z.backup.BackupRepository(backup_service, client_repository, user_repository);
+  });
+
+  describe('serialize_payload', () => {
+    it('preserves binary data', () => {
+      const json = z.backup.BackupRepository.serialize_payload({events});
+      const payload = z.backup.BackupRepository.deserialize_payload(json);
+
+      expect(payload.events[1].data.otr_key).toEqual(jasmine.any(Uint8Array));
+      expect(Array.from(payload.events[1].data.otr_key)).toEqual([1, 2, 3]);
+    });
+  });
+
+  describe('read_archive', () => {
+    it('rejects files that are no history backup', () => {
+      const read_archive = () => z.backup.BackupRepository.read_archive(new Uint8Array([0, 0, 0, 2, 123, 125]).buffer);
+      expect(read_archive).toThrowError(z.backup.BackupError);
+    });
+
+    it('rejects truncated files with a backup error', () => {
+      try {
+        z.backup.BackupRepository.read_archive(new Uint8Array([0, 0]).buffer);
+        fail('Reading a truncated archive should throw');
+      } catch (error) {
+        expect(error instanceof z.backup.BackupError).toBe(true);
+        expect(error.type).toBe(z.backup.BackupError.TYPE.INVALID_FORMAT);
+      }
+    });
+  });
+
+  describe('create_backup', () => {
+    it('creates an archive that can be restored with the same passphrase', (done) => {
+      const progress = [];
+
+      backup_repository.create_backup(passphrase)
+      .then((blob) => backup_repository.restore_backup(blob, passphrase, (value) => progress.push(value)))
+      .then((result) => {
+        expect(result).toEqual({conversations: 1, events: 2});
+        expect(backup_service.import_conversations).toHaveBeenCalledWith(conversations);
+
+        const [imported_events] = backup_service.import_events.calls.mostRecent().args;
+        expect(imported_events.length).toBe(2);
+        expect(Array.from(imported_events[1].data.otr_key)).toEqual([1, 2, 3]);
+        expect(progress[progress.length - 1]).toBe(1);
+        done();
+      })
+      .catch(done.fail);
+    });
+
+    it('does not restore an archive with a wrong passphrase', (done) => {
+      backup_repository.create_backup(passphrase)
+      .then((blob) => backup_repository.restore_backup(blob, 'wrong passphrase'))
+      .then(done.fail)
+      .catch((error) => {
+        expect(error.type).toBe(z.backup.BackupError.TYPE.WRONG_PASSPHRASE);
+        expect(backup_service.import_events).not.toHaveBeenCalled();
+        done();
+      });
+    });
+  });
+
+  describe('migrate_payload', () => {
+    it('rejects payloads without history', () => {
+      const migrate_payload = () => z.backup.BackupRepository.migrate_payload({metadata: {}}, 1);
+      expect(migrate_payload).toThrowError(z.backup.BackupError);
+    });
+  });
+});
+
+describe('z.backup.BackupService', () => {
+  describe('get_event_key', () => {
+    it('identifies events independent of their primary key', () => {
+      const event = {conversation: 'conversation', id: 'event', primary_key: 1, time: '2017-02-15T15:40:17.000Z', type: 'conversation.message-add'};
+      const restored_event = Object.assign({}, event, {primary_key: 42});
+
+      expect(z.backup.BackupService.get_event_key(restored_event)).toBe(z.backup.BackupService.get_event_key(event));
+    });
+  });
+});
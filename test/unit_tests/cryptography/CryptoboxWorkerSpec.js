@@ -0,0 +1,191 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+// grunt test_init && grunt test_run:cryptography/CryptoboxWorker
+
+'use strict';
+
+describe('z.cryptography.CryptoboxWorker', () => {
+  const OriginalWorker = window.Worker;
+  let cryptobox_worker = undefined;
+  let worker = undefined;
+
+  beforeEach(() => {
+    window.Worker = class Worker {
+      constructor(uri) {
+        this.messages = [];
+        this.uri = uri;
+        worker = this;
+      }
+
+      postMessage(message) {
+        this.messages.push(message);
+      }
+
+      terminate() {}
+    };
+
+    cryptobox_worker = new z.cryptography.CryptoboxWorker('wire@production@user@temporary', 10);
+  });
+
+  afterEach(() => {
+    window.Worker = OriginalWorker;
+  });
+
+  describe('_post', () => {
+    it('resolves a request with the result of the worker', (done) => {
+      cryptobox_worker.encrypt('user@client', 'plaintext')
+      .then((result) => {
+        expect(result).toBe('ciphertext');
+        done();
+      })
+      .catch(done.fail);
+
+      const [message] = worker.messages;
+      expect(message.method).toBe('encrypt');
+      expect(message.args).toEqual(['user@client', 'plaintext']);
+      worker.onmessage({data: {id: message.id, result: 'ciphertext'}});
+    });
+
+    it('matches responses to concurrent requests by their ID', (done) => {
+      Promise.all([
+        cryptobox_worker.decrypt('user@client_a', 'ciphertext_a'),
+        cryptobox_worker.decrypt('user@client_b', 'ciphertext_b'),
+      ])
+      .then((results) => {
+        expect(results).toEqual(['plaintext_a', 'plaintext_b']);
+        expect(Object.keys(cryptobox_worker.pending_requests).length).toBe(0);
+        done();
+      })
+      .catch(done.fail);
+
+      const [first_message, second_message] = worker.messages;
+      expect(first_message.id).not.toBe(second_message.id);
+      worker.onmessage({data: {id: second_message.id, result: 'plaintext_b'}});
+      worker.onmessage({data: {id: first_message.id, result: 'plaintext_a'}});
+    });
+
+    it('rejects a request with the restored error of the worker', (done) => {
+      cryptobox_worker.decrypt('user@client', 'ciphertext')
+      .then(done.fail)
+      .catch((error) => {
+        expect(error).toEqual(jasmine.any(Proteus.errors.DecryptError.InvalidSignature));
+        done();
+      });
+
+      const serialized_error = {category: 'DecryptError', code: 205, message: 'Invalid signature', name: 'InvalidSignature'};
+      worker.onmessage({data: {error: serialized_error, id: worker.messages[0].id}});
+    });
+
+    it('rejects all pending requests if the worker fails', (done) => {
+      cryptobox_worker.session_load('user@client')
+      .then(done.fail)
+      .catch((error) => {
+        expect(error.message).toBe('Script error');
+        expect(Object.keys(cryptobox_worker.pending_requests).length).toBe(0);
+        done();
+      });
+
+      worker.onerror({message: 'Script error'});
+    });
+  });
+
+  describe('init', () => {
+    it('enables debugging helpers in the worker only outside of production', (done) => {
+      spyOn(Proteus.keys.IdentityKey, 'deserialise').and.returnValue({});
+      spyOn(z.util.Environment.frontend, 'is_production').and.returnValue(true);
+
+      cryptobox_worker.init()
+      .then(done)
+      .catch(done.fail);
+
+      const [message] = worker.messages;
+      expect(message.method).toBe('init');
+      expect(message.args).toEqual(['wire@production@user@temporary', 10, false]);
+      worker.onmessage({data: {id: message.id, result: new ArrayBuffer(32)}});
+    });
+
+    it('queues topics published before the local identity is known', (done) => {
+      const listener = jasmine.createSpy('listener');
+      spyOn(Proteus.keys.IdentityKey, 'deserialise').and.returnValue({});
+      cryptobox_worker.on(cryptobox.Cryptobox.TOPIC.NEW_SESSION, listener);
+
+      cryptobox_worker.init()
+      .then(() => {
+        expect(listener).toHaveBeenCalledWith('user@client');
+        done();
+      })
+      .catch(done.fail);
+
+      worker.onmessage({data: {data: 'user@client', topic: cryptobox.Cryptobox.TOPIC.NEW_SESSION}});
+      expect(listener).not.toHaveBeenCalled();
+      worker.onmessage({data: {id: worker.messages[0].id, result: new ArrayBuffer(32)}});
+    });
+
+    it('falls back to the main thread if the worker cannot be initialized', (done) => {
+      const cryptography_repository = new z.cryptography.CryptographyRepository({}, {});
+      spyOn(z.cryptography.CryptoboxWorker.prototype, 'init').and.returnValue(Promise.reject(new Error('Timeout')));
+      spyOn(z.cryptography.CryptoboxWorker.prototype, 'terminate');
+      spyOn(cryptography_repository, '_init_main_thread_cryptobox').and.returnValue(Promise.resolve());
+      spyOn(cryptography_repository, '_load_pending_pre_keys').and.returnValue(Promise.resolve());
+
+      cryptography_repository.init({name: 'wire@production@user@temporary'})
+      .then(() => {
+        expect(z.cryptography.CryptoboxWorker.prototype.terminate).toHaveBeenCalled();
+        expect(cryptography_repository._init_main_thread_cryptobox).toHaveBeenCalled();
+        done();
+      })
+      .catch(done.fail);
+    });
+  });
+
+  describe('deserialize_error', () => {
+    it('restores Proteus decryption errors', () => {
+      const serialized_error = {category: 'DecryptError', code: 205, message: 'Invalid signature', name: 'InvalidSignature'};
+      const error = z.cryptography.CryptoboxWorker.deserialize_error(serialized_error);
+
+      expect(error).toEqual(jasmine.any(Proteus.errors.DecryptError.InvalidSignature));
+      expect(error.code).toBe(205);
+      expect(error.message).toBe('Invalid signature');
+    });
+
+    it('restores missing records', () => {
+      const serialized_error = {category: 'RecordNotFoundError', message: 'Session not found', name: 'RecordNotFoundError'};
+      const error = z.cryptography.CryptoboxWorker.deserialize_error(serialized_error);
+
+      expect(error).toEqual(jasmine.any(cryptobox.store.RecordNotFoundError));
+    });
+
+    it('restores unknown errors as generic errors', () => {
+      const error = z.cryptography.CryptoboxWorker.deserialize_error({message: 'Unknown', name: 'TypeError'});
+
+      expect(error).toEqual(jasmine.any(Error));
+      expect(error.message).toBe('Unknown');
+    });
+  });
+
+  describe('create_session', () => {
+    it('offers the remote fingerprint like a Cryptobox session', () => {
+      const session = z.cryptography.CryptoboxWorker.create_session({fingerprint_remote: 'dc3882645c116424', id: 'user@client'});
+
+      expect(session.id).toBe('user@client');
+      expect(session.fingerprint_remote()).toBe('dc3882645c116424');
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+// grunt test_init && grunt test_run:cryptography/FingerprintCode
+
+'use strict';
+
+describe('z.cryptography.FingerprintCode', () => {
+  const client_id = '4b0a0fbf418d264c';
+  const fingerprint = 'DC 38 82 64 5C 11 64 24 4E D2 9B 83 A9 1C 8C 11 8D 42 9B 3E 03 2C 5E 24 8A 1B 5D 24 51 69 67 5A';
+  const user_id = '9ee5b3cc-4be7-4e96-b1e3-8d4f17b3ac8e';
+
+  describe('create_payload', () => {
+    it('encodes user ID, client ID and normalized fingerprint', () => {
+      const payload = z.cryptography.FingerprintCode.create_payload(user_id, client_id, fingerprint);
+      expect(payload).toBe(`wire-fingerprint:1:${user_id}:${client_id}:dc3882645c1164244ed29b83a91c8c118d429b3e032c5e248a1b5d245169675a`);
+    });
+  });
+
+  describe('parse_payload', () => {
+    it('decodes a created payload', () => {
+      const payload = z.cryptography.FingerprintCode.create_payload(user_id, client_id, fingerprint);
+      const code = z.cryptography.FingerprintCode.parse_payload(payload);
+
+      expect(code.client_id).toBe(client_id);
+      expect(code.fingerprint).toBe(z.cryptography.FingerprintCode.normalize_fingerprint(fingerprint));
+      expect(code.user_id).toBe(user_id);
+    });
+
+    it('rejects content of unrelated codes', () => {
+      const parse_payload = () => z.cryptography.FingerprintCode.parse_payload('https://wire.com');
+      expect(parse_payload).toThrowError(z.cryptography.CryptographyError);
+    });
+  });
+
+  describe('compare', () => {
+    it('detects a matching fingerprint', () => {
+      const payload = z.cryptography.FingerprintCode.create_payload(user_id, client_id, fingerprint);
+      const result = z.cryptography.FingerprintCode.compare(payload, user_id, client_id, fingerprint.replace(/ /g, ''));
+      expect(result).toBe(z.cryptography.FingerprintCode.RESULT.MATCH);
+    });
+
+    it('detects a fingerprint mismatch', () => {
+      const payload = z.cryptography.FingerprintCode.create_payload(user_id, client_id, fingerprint);
+      const other_fingerprint = fingerprint.replace('DC', 'CD');
+      const result = z.cryptography.FingerprintCode.compare(payload, user_id, client_id, other_fingerprint);
+      expect(result).toBe(z.cryptography.FingerprintCode.RESULT.MISMATCH);
+    });
+
+    it('detects a code of another device', () => {
+      const payload = z.cryptography.FingerprintCode.create_payload(user_id, 'b29034060fed476e', fingerprint);
+      const result = z.cryptography.FingerprintCode.compare(payload, user_id, client_id, fingerprint);
+      expect(result).toBe(z.cryptography.FingerprintCode.RESULT.OTHER_DEVICE);
+    });
+  });
+});
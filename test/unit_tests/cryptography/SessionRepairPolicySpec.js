@@ -0,0 +1,87 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+// grunt test_init && grunt test_run:cryptography/SessionRepairPolicy
+
+'use strict';
+
+describe('z.cryptography.SessionRepairPolicy', () => {
+  const session_id = 'user_id@client_id';
+  let session_repair_policy = undefined;
+
+  beforeEach(() => {
+    jasmine.clock().install();
+    jasmine.clock().mockDate(new Date(2017, 0, 1));
+    session_repair_policy = new z.cryptography.SessionRepairPolicy();
+  });
+
+  afterEach(() => jasmine.clock().uninstall());
+
+  describe('register_failure', () => {
+    it('resets a broken session on the first failure', () => {
+      const decryption_error = new Proteus.errors.DecryptError.InvalidMessage('Broken session');
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeTruthy();
+    });
+
+    it('resets a session on repeated unknown failures', () => {
+      const decryption_error = new Error('Unknown failure');
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeFalsy();
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeTruthy();
+    });
+
+    it('does not reset a session when the remote identity changed', () => {
+      const decryption_error = new Proteus.errors.DecryptError.RemoteIdentityChanged('Identity changed');
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeFalsy();
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeFalsy();
+    });
+
+    it('does not reset a session if disabled', () => {
+      session_repair_policy.is_enabled = false;
+      const decryption_error = new Proteus.errors.DecryptError.InvalidMessage('Broken session');
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeFalsy();
+    });
+
+    it('backs off exponentially between resets of a session', () => {
+      const decryption_error = new Proteus.errors.DecryptError.InvalidMessage('Broken session');
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeTruthy();
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeFalsy();
+
+      jasmine.clock().tick(60 * 1000);
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeTruthy();
+
+      jasmine.clock().tick(60 * 1000);
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeFalsy();
+
+      jasmine.clock().tick(60 * 1000);
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeTruthy();
+    });
+
+    it('limits the number of resets across sessions', () => {
+      const decryption_error = new Proteus.errors.DecryptError.InvalidMessage('Broken session');
+
+      for (let index = 0; index < 10; index++) {
+        expect(session_repair_policy.register_failure(`user_id@${index}`, decryption_error)).toBeTruthy();
+      }
+
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeFalsy();
+
+      jasmine.clock().tick(60 * 60 * 1000);
+      expect(session_repair_policy.register_failure(session_id, decryption_error)).toBeTruthy();
+    });
+  });
+});
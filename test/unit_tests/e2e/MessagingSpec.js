@@ -0,0 +1,154 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+// grunt test_init && grunt test_run:e2e/Messaging
+
+'use strict';
+
+describe('Messaging with the mock backend', () => {
+  const test_factory = new window.TestFactory();
+
+  let backend = undefined;
+  let bob = undefined;
+  let conversation_et = undefined;
+
+  const wait_for = (condition, timeout = 5000) => {
+    const started_at = Date.now();
+
+    return new Promise((resolve, reject) => {
+      const check_condition = () => {
+        const result = condition();
+        if (result) {
+          return resolve(result);
+        }
+        if (Date.now() - started_at > timeout) {
+          return reject(new Error('Condition was not met in time'));
+        }
+        window.setTimeout(check_condition, 10);
+      };
+      check_condition();
+    });
+  };
+
+  beforeAll((done) => {
+    z.util.protobuf.load_protos('ext/proto/generic-message-proto/messages.proto')
+    .then(done)
+    .catch(done.fail);
+  });
+
+  beforeEach((done) => {
+    let self_user_id = undefined;
+
+    test_factory.exposeMessagingActors()
+    .then(() => {
+      self_user_id = window.user_repository.self().id;
+      backend = new z.test.MockBackend(test_factory.settings.connection.rest_url, self_user_id).install();
+      backend.add_user(self_user_id, window.user_repository.self().name());
+      return window.cryptography_repository.generate_client_keys();
+    })
+    .then(([last_resort_pre_key, pre_keys]) => {
+      backend.add_client(self_user_id, window.cryptography_repository.current_client().id, last_resort_pre_key, pre_keys);
+      return backend.create_simulated_user('Bob');
+    })
+    .then((simulated_user) => {
+      bob = simulated_user;
+      return window.user_repository.get_user_by_id(bob.id);
+    })
+    .then((bob_et) => {
+      conversation_et = new z.entity.Conversation(z.util.create_random_uuid());
+      conversation_et.type(z.conversation.ConversationType.REGULAR);
+      conversation_et.participating_user_ids([bob.id]);
+      conversation_et.participating_user_ets([bob_et]);
+      backend.add_conversation(conversation_et.id, [self_user_id, bob.id]);
+
+      return window.user_repository.add_client_to_user(bob.id, new z.client.Client({id: bob.clients[0].id}));
+    })
+    .then(() => window.conversation_repository.save_conversation(conversation_et))
+    .then(() => window.event_repository.initialize_from_notification_stream())
+    .then(() => {
+      window.event_repository.connect_web_socket();
+      return wait_for(() => window.web_socket_service.connection_state() === z.event.CONNECTION_STATE.ONLINE);
+    })
+    .then(done)
+    .catch(done.fail);
+  });
+
+  afterEach(() => {
+    window.event_repository.disconnect_web_socket(z.event.WebSocketService.CHANGE_TRIGGER.CLEANUP);
+    backend.uninstall();
+    window.storage_service.clear_all_stores();
+  });
+
+  it('receives a message of a simulated user through the WebSocket', (done) => {
+    bob.clients[0].send_text(conversation_et.id, 'Hello Alice')
+    .then((generic_message) => wait_for(() => conversation_et.get_message_by_id(generic_message.message_id)))
+    .then((message_et) => {
+      expect(message_et.user().id).toBe(bob.id);
+      expect(message_et.get_first_asset().text).toBe('Hello Alice');
+      done();
+    })
+    .catch(done.fail);
+  });
+
+  it('resolves the client mismatch after a simulated user added a device', (done) => {
+    let bob_new_client = undefined;
+
+    bob.add_client()
+    .then((client) => {
+      bob_new_client = client;
+
+      return Promise.all([
+        bob.clients[0].wait_for_message(),
+        bob_new_client.wait_for_message(),
+        window.conversation_repository.send_text('Hello Bob', conversation_et),
+      ]);
+    })
+    .then(([first_client_message, new_client_message]) => {
+      expect(first_client_message.generic_message.text.content).toBe('Hello Bob');
+      expect(new_client_message.generic_message.text.content).toBe('Hello Bob');
+
+      const message_requests = backend.requests.filter(({path}) => path === `/conversations/${conversation_et.id}/otr/messages`);
+      expect(message_requests.map(({status}) => status)).toEqual([412, 201]);
+
+      const bob_et = conversation_et.participating_user_ets()[0];
+      expect(bob_et.devices().map((client_et) => client_et.id)).toContain(bob_new_client.id);
+      done();
+    })
+    .catch(done.fail);
+  });
+
+  it('drops a deleted device of a simulated user when sending', (done) => {
+    bob.add_client()
+    .then((bob_new_client) => {
+      bob.remove_client(bob.clients[0]);
+      return Promise.all([
+        bob_new_client.wait_for_message(),
+        window.conversation_repository.send_text('Are you still there?', conversation_et),
+      ]);
+    })
+    .then(([new_client_message]) => {
+      expect(new_client_message.generic_message.text.content).toBe('Are you still there?');
+
+      const bob_et = conversation_et.participating_user_ets()[0];
+      expect(bob_et.devices().length).toBe(1);
+      done();
+    })
+    .catch(done.fail);
+  });
+});
@@ -0,0 +1,48 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+// grunt test_init && grunt test_run:entity/message/ContentMessage
+
+'use strict';
+
+describe('z.entity.ContentMessage', () => {
+  let message_et = null;
+
+  beforeEach(() => {
+    message_et = new z.entity.ContentMessage();
+  });
+
+  describe('update_confirmations', () => {
+    const user_id = z.util.create_random_uuid();
+
+    it('records the confirmation of a recipient', () => {
+      const changes = message_et.update_confirmations({data: {status: z.message.StatusType.DELIVERED}, from: user_id});
+
+      expect(changes).toEqual({confirmations: {[user_id]: z.message.StatusType.DELIVERED}});
+      expect(message_et.confirmed_user_ids()).toEqual([user_id]);
+    });
+
+    it('ignores confirmations that do not raise the status of a recipient', () => {
+      message_et.update_confirmations({data: {status: z.message.StatusType.SEEN}, from: user_id});
+      const changes = message_et.update_confirmations({data: {status: z.message.StatusType.DELIVERED}, from: user_id});
+
+      expect(changes).toBeUndefined();
+      expect(message_et.confirmations()[user_id]).toBe(z.message.StatusType.SEEN);
+    });
+  });
+});
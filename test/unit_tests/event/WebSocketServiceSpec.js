@@ -0,0 +1,100 @@
+/*
+ * Wire
+ * Copyright (C) 2017 Wire Swiss GmbH
+ *
+ * This program is free software: you can redistribute it and/or modify
+ * it under the terms of the GNU General Public License as published by
+ * the Free Software Foundation, either version 3 of the License, or
+ * (at your option) any later version.
+ *
+ * This program is distributed in the hope that it will be useful,
+ * but WITHOUT ANY WARRANTY; without even the implied warranty of
+ * MERCHANTABILITY or FITNESS FOR A PARTICULAR PURPOSE. See the
+ * GNU General Public License for more details.
+ *
+ * You should have received a copy of the GNU General Public License
+ * along with this program. If not, see http://www.gnu.org/licenses/.
+ *
+ */
+
+// grunt test_init && grunt test_run:event/WebSocketService
+
+'use strict';
+
+describe('z.event.WebSocketService', () => {
+  let web_socket_service = undefined;
+
+  beforeEach(() => {
+    web_socket_service = new z.event.WebSocketService(new window.TestFactory().client);
+    web_socket_service.socket = {
+      readyState: 1,
+      send: jasmine.createSpy('send'),
+    };
+  });
+
+  describe('_get_reconnect_interval', () => {
+    it('grows exponentially with the number of reconnect attempts', () => {
+      spyOn(Math, 'random').and.returnValue(0.5);
+
+      expect(web_socket_service._get_reconnect_interval(2)).toBe(1000);
+      expect(web_socket_service._get_reconnect_interval(3)).toBe(2000);
+      expect(web_socket_service._get_reconnect_interval(6)).toBe(16000);
+    });
+
+    it('never exceeds the maximum interval plus jitter', () => {
+      spyOn(Math, 'random').and.returnValue(1);
+
+      expect(web_socket_service._get_reconnect_interval(50)).toBe(5 * 60 * 1000 * 1.3);
+    });
+
+    it('randomizes the interval', () => {
+      spyOn(Math, 'random').and.returnValue(0);
+
+      expect(web_socket_service._get_reconnect_interval(3)).toBe(1400);
+    });
+  });
+
+  describe('send_ping', () => {
+    beforeEach(() => {
+      jasmine.clock().install();
+      spyOn(web_socket_service, 'reset');
+    });
+
+    afterEach(() => jasmine.clock().uninstall());
+
+    it('resets the connection if no pong arrives in time', () => {
+      web_socket_service.send_ping();
+      expect(web_socket_service.socket.send).toHaveBeenCalledWith('ping');
+
+      jasmine.clock().tick(10001);
+      expect(web_socket_service.reset).toHaveBeenCalledWith(z.event.WebSocketService.CHANGE_TRIGGER.PONG_TIMEOUT, true);
+    });
+
+    it('keeps the connection if a pong arrives in time', () => {
+      web_socket_service.send_ping();
+      jasmine.clock().tick(5000);
+      web_socket_service._received_sign_of_life();
+
+      jasmine.clock().tick(10000);
+      expect(web_socket_service.reset).not.toHaveBeenCalled();
+      expect(web_socket_service.connection_state()).toBe(z.event.CONNECTION_STATE.ONLINE);
+    });
+  });
+
+  describe('reset', () => {
+    it('marks the connection as degraded when reconnecting', () => {
+      spyOn(web_socket_service, 'reconnect');
+
+      web_socket_service.reset(z.event.WebSocketService.CHANGE_TRIGGER.CLOSE, true);
+      expect(web_socket_service.connection_state()).toBe(z.event.CONNECTION_STATE.DEGRADED);
+      expect(web_socket_service.reconnect).toHaveBeenCalled();
+    });
+
+    it('marks the connection as offline when disconnecting', () => {
+      web_socket_service.connection_state(z.event.CONNECTION_STATE.ONLINE);
+
+      web_socket_service.reset(z.event.WebSocketService.CHANGE_TRIGGER.LOGOUT);
+      expect(web_socket_service.connection_state()).toBe(z.event.CONNECTION_STATE.OFFLINE);
+    });
+  });
+});